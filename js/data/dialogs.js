@@ -0,0 +1,190 @@
+/**
+ * Dialog Definitions
+ * Dialog trees by NPC name ("default" for NPCs without their own). Each tree has a "start" node
+ * and "nodes" by ID; options lead to another node with "next" (or close the dialog without it).
+ * Options with "close: true" close the dialog and continue at "next" the next time the NPC is talked to.
+ *
+ * Options can list "conditions" that must all hold for the option to be shown:
+ *   has-item (item, count), level (min), quest (quest, status), flag (flag, value),
+ *   talked (min times talked to this NPC), gift (item, count given to this NPC)
+ * Any condition can be inverted with "not: true".
+ *
+ * Options can run "actions" when chosen:
+ *   give-item (item, value, count), take-item (item, count), set-flag (flag, value),
+ *   start-quest (quest), heal (amount), spawn (object definition, offset from the NPC)
+ */
+
+const DIALOG_DEFINITIONS = {
+    default: {
+        start: 'greeting',
+        nodes: {
+            greeting: {
+                text: "Hello there! I'm an NPC.",
+                options: [
+                    { text: 'Hello!', next: 'hello' },
+                    { text: 'What can you do?', next: 'abilities' },
+                    { text: 'Goodbye.' }
+                ]
+            },
+            hello: {
+                text: 'Nice to meet you!',
+                options: [
+                    { text: 'What can you do?', next: 'abilities' },
+                    { text: 'Goodbye.' }
+                ]
+            },
+            abilities: {
+                text: 'I can give quests or just chat with you!',
+                options: [
+                    { text: 'Interesting!', next: 'hint' },
+                    { text: 'Goodbye.' }
+                ]
+            },
+            hint: {
+                text: 'Remember, you can interact with anything in this world!',
+                options: [
+                    { text: "I'll try that out. Goodbye!" }
+                ]
+            }
+        }
+    },
+    
+    Guide: {
+        start: 'greeting',
+        nodes: {
+            greeting: {
+                text: 'Welcome, traveller! This website is more than it looks.',
+                options: [
+                    {
+                        text: 'We keep running into each other.',
+                        next: 'regular',
+                        conditions: [{ type: 'talked', min: 5 }]
+                    },
+                    { text: 'What is this place?', next: 'about' },
+                    {
+                        text: 'Any work for me?',
+                        next: 'work',
+                        conditions: [{ type: 'quest', quest: 'coin-collector', status: 'inactive' }],
+                        actions: [{ type: 'start-quest', quest: 'coin-collector' }]
+                    },
+                    {
+                        text: 'I found the coins!',
+                        next: 'thanks',
+                        conditions: [
+                            { type: 'quest', quest: 'coin-collector', status: 'completed' },
+                            { type: 'flag', flag: 'guide-thanked', not: true }
+                        ],
+                        actions: [
+                            { type: 'set-flag', flag: 'guide-thanked' },
+                            { type: 'heal', amount: 100 },
+                            { type: 'give-item', item: 'hammer' }
+                        ]
+                    },
+                    { text: 'Goodbye.' }
+                ]
+            },
+            about: {
+                text: 'Everything on this page can be touched, broken or collected. Try clicking things!',
+                options: [
+                    { text: 'Tell me more.', next: 'greeting' },
+                    { text: 'Goodbye.', next: 'greeting', close: true }
+                ]
+            },
+            work: {
+                text: 'Bring me five coins from around the meadow and I will make it worth your while.',
+                options: [
+                    { text: "I'm on it.", next: 'greeting', close: true }
+                ]
+            },
+            regular: {
+                text: 'We do! At this rate I should start charging you for directions.',
+                options: [
+                    { text: 'Ha! See you around.', next: 'greeting', close: true }
+                ]
+            },
+            thanks: {
+                text: 'Splendid! Let me patch you up, and take this hammer. A stick and some coins make a fine sword.',
+                options: [
+                    { text: 'Thank you!', next: 'greeting' }
+                ]
+            }
+        }
+    },
+    
+    Trader: {
+        start: 'greeting',
+        nodes: {
+            greeting: {
+                text: 'Looking to trade? I only take coins.',
+                options: [
+                    {
+                        text: 'Remember the coins I gave you?',
+                        next: 'grateful',
+                        conditions: [{ type: 'gift', item: 'coin', count: 1 }]
+                    },
+                    {
+                        text: 'Buy a key (3 coins)',
+                        next: 'sold',
+                        conditions: [{ type: 'has-item', item: 'coin', count: 3 }],
+                        actions: [
+                            { type: 'take-item', item: 'coin', count: 3 },
+                            { type: 'give-item', item: 'key' }
+                        ]
+                    },
+                    {
+                        text: 'Buy swift boots (10 coins)',
+                        next: 'sold',
+                        conditions: [{ type: 'has-item', item: 'coin', count: 10 }],
+                        actions: [
+                            { type: 'take-item', item: 'coin', count: 10 },
+                            { type: 'give-item', item: 'boots' }
+                        ]
+                    },
+                    {
+                        text: "I can't afford anything.",
+                        next: 'broke',
+                        conditions: [{ type: 'has-item', item: 'coin', count: 3, not: true }]
+                    },
+                    {
+                        text: 'Got anything for a seasoned adventurer?',
+                        next: 'gift',
+                        conditions: [
+                            { type: 'level', min: 2 },
+                            { type: 'flag', flag: 'trader-gift', not: true }
+                        ],
+                        actions: [
+                            { type: 'set-flag', flag: 'trader-gift' },
+                            { type: 'spawn', object: { type: 'collectible', itemType: 'special', value: 5 }, offset: [40, 0] }
+                        ]
+                    },
+                    { text: 'Goodbye.' }
+                ]
+            },
+            sold: {
+                text: 'Pleasure doing business. Keys open more than doors around here.',
+                options: [
+                    { text: 'Show me your wares again.', next: 'greeting' },
+                    { text: 'Goodbye.', next: 'greeting', close: true }
+                ]
+            },
+            grateful: {
+                text: 'How could I forget? Generous customers are rare. Come back any time.',
+                options: [
+                    { text: 'Show me your wares.', next: 'greeting' }
+                ]
+            },
+            broke: {
+                text: 'Come back when your pockets jingle. Coins lie all over the meadow.',
+                options: [
+                    { text: 'Goodbye.', next: 'greeting', close: true }
+                ]
+            },
+            gift: {
+                text: 'You look like you know what you are doing. Take this, on the house.',
+                options: [
+                    { text: 'Thanks!', next: 'greeting' }
+                ]
+            }
+        }
+    }
+};
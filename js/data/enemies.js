@@ -0,0 +1,68 @@
+/**
+ * Enemy Definitions
+ * Enemy types by ID. Enemies idle and patrol within "patrolRadius" pixels of where they were placed,
+ * chase the player once within "sightRange" and hit for "damage" every "attackCooldown" seconds
+ * while within "attackRange" (ranges are measured between edges).
+ * Defeating one grants "experience" and drops each "loot" entry as a collectible with its "chance".
+ */
+
+const ENEMY_DEFINITIONS = {
+    slime: {
+        name: 'Slime',
+        color: '#27ae60',
+        width: 28,
+        height: 22,
+        health: 3,
+        speed: 60,
+        damage: 5,
+        attackRange: 4,
+        attackCooldown: 1.2,
+        sightRange: 150,
+        patrolRadius: 80,
+        experience: 15,
+        loot: [
+            { item: 'coin', chance: 1 },
+            { item: 'coin', chance: 0.5 },
+            { item: 'bonus', chance: 0.2 }
+        ]
+    },
+    
+    bat: {
+        name: 'Bat',
+        color: '#8e44ad',
+        width: 24,
+        height: 16,
+        health: 2,
+        speed: 130,
+        damage: 3,
+        attackRange: 4,
+        attackCooldown: 0.8,
+        sightRange: 220,
+        patrolRadius: 150,
+        experience: 20,
+        loot: [
+            { item: 'coin', chance: 0.7 },
+            { item: 'potion', chance: 0.25 }
+        ]
+    },
+    
+    golem: {
+        name: 'Stone Golem',
+        color: '#7f8c8d',
+        width: 40,
+        height: 40,
+        health: 12,
+        speed: 40,
+        damage: 12,
+        attackRange: 6,
+        attackCooldown: 2,
+        sightRange: 120,
+        patrolRadius: 40,
+        experience: 60,
+        loot: [
+            { item: 'coin', chance: 1, value: 5 },
+            { item: 'key', chance: 0.5 },
+            { item: 'special', chance: 0.1, value: 5 }
+        ]
+    }
+};
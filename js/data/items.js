@@ -0,0 +1,119 @@
+/**
+ * Item Definitions
+ * Item types by ID. Items of the same type and value stack up to "stackLimit".
+ * Currency ("currency": true) counts by quantity: one worth "value" N is added as N items worth 1.
+ * Use effects: heal (amount), experience (amount), website-effect (className, duration in ms),
+ * unlock (the nearest locked door within range pixels that accepts the item's "keyId").
+ * Doors without a keyId of their own open with any key.
+ * Equipment has a "slot" (weapon, armor or accessory) and "stats" added to the player's
+ * (damage per click, defense against each hit, speed in pixels per second).
+ * Items dragged from the inventory onto objects or website elements apply their "targetEffect"
+ * (damage with an amount), and objects can react to specific items themselves (e.g. doors to keys).
+ */
+
+const ITEM_DEFINITIONS = {
+    coin: {
+        name: 'Coin',
+        icon: '●',
+        description: 'Shiny and round. Traders will take these.',
+        rarity: 'common',
+        stackLimit: 99,
+        consumable: false,
+        currency: true
+    },
+    
+    bonus: {
+        name: 'Bonus Token',
+        icon: '◆',
+        description: 'Shaken loose from the website. Use it for a little experience.',
+        rarity: 'uncommon',
+        stackLimit: 20,
+        consumable: true,
+        effect: { type: 'experience', amount: 15 }
+    },
+    
+    key: {
+        name: 'Key',
+        icon: '⚿',
+        description: 'Unlocks a door. Use it next to one, or drag it onto it.',
+        rarity: 'uncommon',
+        stackLimit: 10,
+        consumable: true,
+        keyId: 'common',
+        effect: { type: 'unlock', range: 80 }
+    },
+    
+    potion: {
+        name: 'Health Potion',
+        icon: '♥',
+        description: 'Restores 25 health.',
+        rarity: 'common',
+        stackLimit: 10,
+        consumable: true,
+        effect: { type: 'heal', amount: 25 }
+    },
+    
+    special: {
+        name: 'Strange Star',
+        icon: '★',
+        description: 'Something powerful. The whole page reacts when you use it.',
+        rarity: 'rare',
+        stackLimit: 5,
+        consumable: true,
+        effect: { type: 'website-effect', className: 'special-effect', duration: 2000 }
+    },
+    
+    hammer: {
+        name: 'Hammer',
+        icon: '⚒',
+        description: 'A tool for crafting. Drag it onto something to smash it. Not used up.',
+        rarity: 'uncommon',
+        stackLimit: 1,
+        consumable: false,
+        targetEffect: { type: 'damage', amount: 2 }
+    },
+    
+    stick: {
+        name: 'Sturdy Stick',
+        icon: '/',
+        description: 'Better than bare hands. Hits for 1 extra damage.',
+        rarity: 'common',
+        stackLimit: 1,
+        consumable: false,
+        slot: 'weapon',
+        stats: { damage: 1 }
+    },
+    
+    sword: {
+        name: 'Sword',
+        icon: '†',
+        description: 'Cuts through walls and paragraphs alike.',
+        rarity: 'rare',
+        stackLimit: 1,
+        consumable: false,
+        slot: 'weapon',
+        stats: { damage: 3 }
+    },
+    
+    'leather-armor': {
+        name: 'Leather Armor',
+        icon: '▣',
+        description: 'Blocks 2 damage from every hit.',
+        rarity: 'uncommon',
+        stackLimit: 1,
+        consumable: false,
+        slot: 'armor',
+        stats: { defense: 2 }
+    },
+    
+    boots: {
+        name: 'Swift Boots',
+        icon: '»',
+        description: 'Light on your feet. Move faster.',
+        rarity: 'rare',
+        stackLimit: 1,
+        consumable: false,
+        slot: 'accessory',
+        stats: { speed: 80 }
+    }
+};
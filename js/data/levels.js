@@ -0,0 +1,53 @@
+/**
+ * Level Definitions
+ * Levels in the JSON level format. Positions use pixels ("x", "y", "width", "height")
+ * or grid cells ("grid": [x, y], "size": [width, height]).
+ */
+
+const LEVEL_DEFINITIONS = {
+    meadow: {
+        id: 'meadow',
+        name: 'The Meadow',
+        gridSize: 50,
+        playerStart: { grid: [2, 2] },
+        
+        // World cells (grid coordinates), rectangles use "width" and "height"
+        cells: [
+            { x: 6, y: 4, width: 4, height: 1, type: 'path', color: 'rgba(230, 126, 34, 0.15)' },
+            { x: 9, y: 5, width: 1, height: 4, type: 'path', color: 'rgba(230, 126, 34, 0.15)' },
+            { x: 14, y: 7, width: 3, height: 2, type: 'water', solid: true, color: 'rgba(52, 152, 219, 0.35)' }
+        ],
+        
+        objects: [
+            // A small walled garden
+            { type: 'wall', grid: [4, 6], size: [4, 0.4] },
+            { type: 'wall', grid: [4, 6], size: [0.4, 3] },
+            { type: 'wall', grid: [7.6, 6], size: [0.4, 3] },
+            { type: 'door', grid: [4, 8.6], size: [4, 0.4] },
+            
+            { type: 'tree', grid: [1, 7] },
+            { type: 'tree', grid: [12, 2] },
+            { type: 'tree', grid: [13, 3] },
+            { type: 'tree', grid: [18, 5] },
+            
+            { type: 'collectible', grid: [5.5, 7.5], itemType: 'coin' },
+            { type: 'collectible', grid: [6, 7.5], itemType: 'coin' },
+            { type: 'collectible', grid: [15, 5], itemType: 'special', value: 5 },
+            { type: 'collectible', grid: [1.5, 6], itemType: 'stick' },
+            
+            { type: 'npc', grid: [3, 3], name: 'Guide', npcId: 'guide' },
+            { type: 'npc', grid: [11, 9], name: 'Trader', npcId: 'trader' },
+            
+            { type: 'checkpoint', grid: [12, 6] },
+            
+            { type: 'enemy', grid: [16, 3], enemyType: 'slime' },
+            { type: 'enemy', grid: [19, 9], enemyType: 'slime' },
+            { type: 'enemy', grid: [21, 2], enemyType: 'bat' }
+        ],
+        
+        // Generator rules run after the fixed objects are placed
+        generators: [
+            { type: 'random', count: 5, objects: ['collectible'], itemTypes: ['coin'] }
+        ]
+    }
+};
@@ -0,0 +1,61 @@
+/**
+ * Quest Definitions
+ * Quests start automatically ("autoStart"), when the player talks to their "giver" NPC
+ * or from a dialog "start-quest" action.
+ * Objective types: collect (itemType), destroy (objectType), talk (npc name or ID) and damage-website (interaction).
+ */
+
+const QUEST_DEFINITIONS = {
+    'welcome': {
+        id: 'welcome',
+        title: 'Say Hello',
+        description: 'Someone called the Guide is waiting nearby. Go and talk to them.',
+        autoStart: true,
+        objectives: [
+            { type: 'talk', npc: 'Guide', count: 1, description: 'Talk to the Guide' }
+        ],
+        rewards: {
+            experience: 10
+        }
+    },
+    
+    'coin-collector': {
+        id: 'coin-collector',
+        title: 'Coin Collector',
+        description: 'The Guide wants proof you can find your way around. Pick up some coins.',
+        objectives: [
+            { type: 'collect', itemType: 'coin', count: 5, description: 'Collect coins' }
+        ],
+        rewards: {
+            experience: 50,
+            items: [{ type: 'key', value: 1 }]
+        }
+    },
+    
+    'demolition': {
+        id: 'demolition',
+        title: 'Clearing the Way',
+        description: 'The Trader complains that walls block the road. Knock some down.',
+        giver: 'Trader',
+        objectives: [
+            { type: 'destroy', objectType: 'wall', count: 2, description: 'Destroy walls' }
+        ],
+        rewards: {
+            experience: 75,
+            items: [{ type: 'special', value: 5 }, { type: 'leather-armor' }]
+        }
+    },
+    
+    'vandal': {
+        id: 'vandal',
+        title: 'Redacted',
+        description: 'This website is full of text. Some of it should go.',
+        autoStart: true,
+        objectives: [
+            { type: 'damage-website', interaction: 'text', count: 6, description: 'Damage paragraphs' }
+        ],
+        rewards: {
+            experience: 30
+        }
+    }
+};
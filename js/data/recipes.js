@@ -0,0 +1,78 @@
+/**
+ * Recipe Definitions
+ * "world" recipes apply when one object is dragged onto another. They match the dragged "source"
+ * and the "target" by object type (and optionally itemType), can consume either object, run effects
+ * (gift, dialog, merge-value, damage-target) and spawn "outputs" next to the target.
+ * "inventory" recipes apply when an item is dragged onto another item in the inventory panel.
+ * They consume their "inputs" and add their "outputs".
+ * Any recipe can need "tools" (item types kept in the inventory, not consumed) and grant "experience".
+ * Recipes marked "known" are in the crafting book from the start, the others once crafted.
+ */
+
+const RECIPE_DEFINITIONS = {
+    'gift-to-npc': {
+        id: 'gift-to-npc',
+        name: 'Gift',
+        kind: 'world',
+        source: { type: 'collectible' },
+        target: { type: 'npc' },
+        consumes: ['source'],
+        effects: [
+            { type: 'gift' },
+            { type: 'dialog', text: "Thanks for the gift! Here's something in return.", reply: "You're welcome!" }
+        ],
+        outputs: [{ type: 'collectible', itemType: 'special', value: 5 }],
+        experience: 5
+    },
+    
+    'merge-collectibles': {
+        id: 'merge-collectibles',
+        name: 'Merge Collectibles',
+        kind: 'world',
+        known: true,
+        source: { type: 'collectible' },
+        target: { type: 'collectible' },
+        consumes: ['source'],
+        effects: [{ type: 'merge-value' }],
+        outputs: [],
+        experience: 1
+    },
+    
+    'break-wall': {
+        id: 'break-wall',
+        name: 'Throw at Wall',
+        kind: 'world',
+        source: { type: 'collectible' },
+        target: { type: 'wall' },
+        consumes: ['source'],
+        effects: [{ type: 'damage-target', amount: 1 }],
+        outputs: [],
+        experience: 2
+    },
+    
+    'forge-sword': {
+        id: 'forge-sword',
+        name: 'Sword',
+        kind: 'inventory',
+        inputs: [
+            { item: 'stick', count: 1 },
+            { item: 'coin', count: 10 }
+        ],
+        tools: ['hammer'],
+        outputs: [{ item: 'sword', count: 1 }],
+        experience: 40
+    },
+    
+    'brew-potion': {
+        id: 'brew-potion',
+        name: 'Health Potion',
+        kind: 'inventory',
+        known: true,
+        inputs: [
+            { item: 'bonus', count: 2 },
+            { item: 'coin', count: 1 }
+        ],
+        outputs: [{ item: 'potion', count: 1 }],
+        experience: 10
+    }
+};
@@ -0,0 +1,86 @@
+/**
+ * Skill and Attribute Definitions
+ * Every level-up grants LEVEL_UP_POINTS. Attribute points raise an attribute by one, adding its
+ * "stats" to the player's (damage, defense, speed) and its "maxHealth" to their maximum health.
+ * Skill points buy skill ranks (up to "maxRank", "cost" points each) once the "requires" skills
+ * are learned and the player has reached "level". Each rank adds the skill's "bonuses":
+ * dashes (dash ability), dragRange (pixels), websiteDamage (per click) and magnetRadius (pixels).
+ */
+
+const LEVEL_UP_POINTS = {
+    attributePoints: 2,
+    skillPoints: 1
+};
+
+const ATTRIBUTE_DEFINITIONS = {
+    strength: {
+        name: 'Strength',
+        description: '+1 damage per point.',
+        stats: { damage: 1 }
+    },
+    
+    agility: {
+        name: 'Agility',
+        description: '+15 speed per point.',
+        stats: { speed: 15 }
+    },
+    
+    vitality: {
+        name: 'Vitality',
+        description: '+10 maximum health per point.',
+        maxHealth: 10
+    }
+};
+
+const SKILL_DEFINITIONS = {
+    'dash': {
+        id: 'dash',
+        name: 'Dash',
+        description: 'Press Shift while moving to dash a short distance.',
+        cost: 1,
+        maxRank: 1,
+        requires: [],
+        bonuses: { dashes: 1 }
+    },
+    
+    'long-reach': {
+        id: 'long-reach',
+        name: 'Long Reach',
+        description: 'Drag objects from 60 pixels further away per rank.',
+        cost: 1,
+        maxRank: 3,
+        requires: [],
+        bonuses: { dragRange: 60 }
+    },
+    
+    'vandal': {
+        id: 'vandal',
+        name: 'Vandal',
+        description: 'Clicks on website elements do 1 more damage per rank.',
+        cost: 1,
+        maxRank: 2,
+        requires: [],
+        bonuses: { websiteDamage: 1 }
+    },
+    
+    'magnet': {
+        id: 'magnet',
+        name: 'Magnet',
+        description: 'Collectibles within 50 pixels per rank fly to you and are picked up.',
+        cost: 1,
+        maxRank: 3,
+        requires: ['long-reach'],
+        bonuses: { magnetRadius: 50 }
+    },
+    
+    'wrecking-ball': {
+        id: 'wrecking-ball',
+        name: 'Wrecking Ball',
+        description: 'Clicks on website elements do 2 more damage.',
+        cost: 2,
+        maxRank: 1,
+        level: 5,
+        requires: ['vandal'],
+        bonuses: { websiteDamage: 2 }
+    }
+};
@@ -0,0 +1,80 @@
+/**
+ * Collision Resolver
+ * Moves entities through the world while blocking them on solid grid cells and solid game objects.
+ */
+
+class CollisionResolver {
+    constructor(world, objectManager) {
+        this.world = world;
+        this.objectManager = objectManager;
+    }
+    
+    /**
+     * Move an entity by the given offset, resolving each axis separately
+     * so the entity slides along edges instead of sticking to them
+     */
+    move(entity, dx, dy) {
+        const blockedX = dx !== 0 && this.moveAxis(entity, 'x', dx);
+        const blockedY = dy !== 0 && this.moveAxis(entity, 'y', dy);
+        
+        return { blockedX, blockedY };
+    }
+    
+    /**
+     * Move an entity along a single axis, returns true if it was blocked
+     */
+    moveAxis(entity, axis, amount) {
+        const size = axis === 'x' ? entity.width : entity.height;
+        const start = entity[axis];
+        
+        entity[axis] = start + amount;
+        
+        // Only obstacles the entity wasn't already overlapping can block it,
+        // otherwise something spawned on top of the entity would trap it
+        const obstacles = this.getSolidRects(entity).filter(rect => {
+            return !this.overlaps({ ...entity, [axis]: start }, rect);
+        });
+        
+        if (obstacles.length === 0) return false;
+        
+        // Snap against the nearest edge in the direction of travel
+        if (amount > 0) {
+            const edge = Math.min(...obstacles.map(rect => rect[axis]));
+            entity[axis] = Math.max(start, edge - size);
+        } else {
+            const edge = Math.max(...obstacles.map(rect => rect[axis] + (axis === 'x' ? rect.width : rect.height)));
+            entity[axis] = Math.min(start, edge);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Get all solid rectangles overlapping an entity's bounds
+     */
+    getSolidRects(entity) {
+        const rects = [];
+        
+        if (this.world) {
+            rects.push(...this.world.getSolidCellRects(entity.x, entity.y, entity.width, entity.height));
+        }
+        
+        if (this.objectManager) {
+            rects.push(...this.objectManager.getSolidObjectsIn(entity.x, entity.y, entity.width, entity.height, entity));
+        }
+        
+        return rects;
+    }
+    
+    /**
+     * Check if two rectangles overlap
+     */
+    overlaps(a, b) {
+        return (
+            a.x < b.x + b.width &&
+            a.x + a.width > b.x &&
+            a.y < b.y + b.height &&
+            a.y + a.height > b.y
+        );
+    }
+}
@@ -0,0 +1,209 @@
+/**
+ * Combat Manager
+ * Runs enemy AI, lets the player attack enemies in reach (click or F) and hands out
+ * experience and loot for defeated enemies.
+ */
+
+class CombatManager {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.env = gameEngine.env;
+        
+        // Player attacks
+        this.attackRange = 40; // pixels between the player's and the enemy's edges
+        this.attackCooldown = 0.35; // seconds between attacks
+        this.attackTimer = 0;
+        
+        // Swing drawn around the player after an attack
+        this.swingTime = 0.15; // seconds
+        this.swingTimer = 0;
+        
+        // Bind methods
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleEnemyClicked = this.handleEnemyClicked.bind(this);
+        this.handleEnemyDefeated = this.handleEnemyDefeated.bind(this);
+        
+        // Set up event listeners
+        this.env.listen('keydown', this.handleKeyDown);
+        this.env.on('enemy-clicked', this.handleEnemyClicked);
+        this.env.on('enemy-defeated', this.handleEnemyDefeated);
+    }
+    
+    /**
+     * Get all enemies still in the world
+     */
+    getEnemies() {
+        const objectManager = this.gameEngine.objectManager;
+        
+        if (!objectManager) return [];
+        
+        return objectManager.objects.filter(obj => obj instanceof EnemyObject && !obj.destroyed);
+    }
+    
+    /**
+     * Advance enemy AI and attack timers
+     */
+    update(deltaTime) {
+        this.attackTimer = Math.max(0, this.attackTimer - deltaTime);
+        this.swingTimer = Math.max(0, this.swingTimer - deltaTime);
+        
+        // Enemies wait while the player is in a conversation
+        const dialogManager = this.gameEngine.dialogManager;
+        
+        if (dialogManager && dialogManager.isDialogActive()) return;
+        
+        this.getEnemies().forEach(enemy => {
+            enemy.updateAI(deltaTime, this.gameEngine.player, this.gameEngine.collision, this.gameEngine.random);
+        });
+    }
+    
+    /**
+     * Check if an enemy is within the player's reach
+     */
+    isInRange(enemy) {
+        const player = this.gameEngine.player;
+        
+        return Boolean(player) && enemy.distanceTo(player) <= this.attackRange;
+    }
+    
+    /**
+     * Attack an enemy with the player's damage, returns true if the attack landed
+     */
+    attack(enemy) {
+        const player = this.gameEngine.player;
+        
+        if (!player || player.health <= 0 || this.attackTimer > 0 || enemy.destroyed) return false;
+        
+        if (!this.isInRange(enemy)) {
+            console.log(`${enemy.name} is out of reach`);
+            return false;
+        }
+        
+        this.attackTimer = this.attackCooldown;
+        this.swingTimer = this.swingTime;
+        
+        enemy.takeDamage(player.getStat('damage'));
+        return true;
+    }
+    
+    /**
+     * Attack the nearest enemy in reach
+     */
+    attackNearest() {
+        const player = this.gameEngine.player;
+        
+        if (!player) return false;
+        
+        const target = this.getEnemies()
+            .filter(enemy => this.isInRange(enemy))
+            .sort((a, b) => a.distanceTo(player) - b.distanceTo(player))[0];
+            
+        if (!target) {
+            // Swing at nothing, so the key still feels responsive
+            if (this.attackTimer <= 0) {
+                this.attackTimer = this.attackCooldown;
+                this.swingTimer = this.swingTime;
+            }
+            return false;
+        }
+        
+        return this.attack(target);
+    }
+    
+    /**
+     * Attack with F
+     */
+    handleKeyDown(event) {
+        if (!this.gameEngine.isRunning || this.gameEngine.isPaused || this.env.isTypingTarget(event.target)) return;
+        
+        const player = this.gameEngine.player;
+        
+        if (!player || !player.inputEnabled) return;
+        
+        if (event.key.toLowerCase() === 'f' && !event.ctrlKey && !event.metaKey && !event.altKey) {
+            this.attackNearest();
+        }
+    }
+    
+    /**
+     * Attack an enemy that was clicked
+     */
+    handleEnemyClicked(event) {
+        if (!this.gameEngine.isRunning || !event.detail) return;
+        
+        this.attack(event.detail.enemy);
+    }
+    
+    /**
+     * Grant experience and drop loot for a defeated enemy
+     */
+    handleEnemyDefeated(event) {
+        if (!event.detail) return;
+        
+        const enemy = event.detail.enemy;
+        const definition = enemy.definition;
+        
+        console.log(`Defeated ${enemy.name}`);
+        
+        if (this.gameEngine.player && definition.experience) {
+            this.gameEngine.player.gainExperience(definition.experience);
+        }
+        
+        this.dropLoot(enemy);
+    }
+    
+    /**
+     * Roll an enemy's loot table and drop the results as collectibles where it stood
+     */
+    dropLoot(enemy) {
+        const objectManager = this.gameEngine.objectManager;
+        const random = this.gameEngine.random;
+        
+        if (!objectManager) return;
+        
+        const drops = (enemy.definition.loot || []).filter(entry => random.chance(entry.chance));
+        
+        drops.forEach((entry, index) => {
+            // Spread the drops in a small circle around the enemy's center
+            const angle = (index / drops.length) * Math.PI * 2;
+            const spread = drops.length > 1 ? 20 : 0;
+            const collectible = new CollectibleObject(0, 0, entry.item);
+            
+            collectible.value = entry.value || 1;
+            collectible.x = enemy.x + enemy.width / 2 + Math.cos(angle) * spread - collectible.width / 2;
+            collectible.y = enemy.y + enemy.height / 2 + Math.sin(angle) * spread - collectible.height / 2;
+            
+            objectManager.addObject(collectible);
+        });
+    }
+    
+    /**
+     * Draw the player's swing
+     */
+    render(ctx) {
+        const player = this.gameEngine.player;
+        
+        if (!player || this.swingTimer <= 0) return;
+        
+        const progress = 1 - this.swingTimer / this.swingTime;
+        const radius = player.width / 2 + this.attackRange * progress;
+        
+        ctx.save();
+        ctx.globalAlpha = 1 - progress;
+        ctx.strokeStyle = '#ecf0f1';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(player.x + player.width / 2, player.y + player.height / 2, radius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    /**
+     * Clean up event listeners
+     */
+    cleanup() {
+        this.env.unlisten('keydown', this.handleKeyDown);
+        this.env.off('enemy-clicked', this.handleEnemyClicked);
+        this.env.off('enemy-defeated', this.handleEnemyDefeated);
+    }
+}
@@ -0,0 +1,400 @@
+/**
+ * Crafting Manager
+ * Applies recipes to world object combinations and inventory item combinations,
+ * and shows the crafting book of discovered recipes.
+ */
+
+class CraftingManager {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.env = gameEngine.env;
+        
+        // Recipe definitions by ID
+        this.recipes = typeof RECIPE_DEFINITIONS !== 'undefined' ? RECIPE_DEFINITIONS : {};
+        
+        // IDs of recipes shown in the crafting book
+        this.discovered = [];
+        
+        // DOM elements
+        this.craftingBook = this.env.getElementById('crafting-book');
+        this.recipeList = this.env.getElementById('recipe-list');
+        
+        // Bind methods
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        
+        // Set up event listeners
+        this.env.listen('keydown', this.handleKeyDown);
+        
+        this.reset();
+    }
+    
+    /**
+     * Forget discovered recipes except the ones known from the start
+     */
+    reset() {
+        this.discovered = Object.values(this.recipes)
+            .filter(recipe => recipe.known)
+            .map(recipe => recipe.id);
+            
+        this.refreshCraftingBook();
+    }
+    
+    /**
+     * Check if an object matches a recipe's source or target description
+     */
+    matchesObject(matcher, object) {
+        return object.type === matcher.type &&
+               (!matcher.itemType || object.itemType === matcher.itemType);
+    }
+    
+    /**
+     * Check if the player has a recipe's tools
+     */
+    hasTools(recipe) {
+        const inventory = this.gameEngine.inventoryManager;
+        
+        return (recipe.tools || []).every(tool => inventory && inventory.hasItemType(tool));
+    }
+    
+    /**
+     * Check if the player has a recipe's tools and inputs
+     */
+    canCraft(recipe) {
+        const inventory = this.gameEngine.inventoryManager;
+        
+        return this.hasTools(recipe) && (recipe.inputs || []).every(input => {
+            return inventory && inventory.hasItemType(input.item, input.count || 1);
+        });
+    }
+    
+    /**
+     * Find the world recipe for dropping one object onto another
+     */
+    findWorldRecipe(source, target) {
+        return Object.values(this.recipes).find(recipe => {
+            return recipe.kind === 'world' &&
+                   this.matchesObject(recipe.source, source) &&
+                   this.matchesObject(recipe.target, target) &&
+                   this.hasTools(recipe);
+        }) || null;
+    }
+    
+    /**
+     * Find the inventory recipe using both of two item types as inputs
+     */
+    findInventoryRecipe(sourceType, targetType) {
+        return Object.values(this.recipes).find(recipe => {
+            if (recipe.kind !== 'inventory') return false;
+            
+            const inputs = recipe.inputs || [];
+            
+            // Dropping an item onto its own kind needs a recipe that takes two of it
+            if (sourceType === targetType) {
+                return inputs.some(input => input.item === sourceType && (input.count || 1) >= 2);
+            }
+            
+            return inputs.some(input => input.item === sourceType) &&
+                   inputs.some(input => input.item === targetType);
+        }) || null;
+    }
+    
+    /**
+     * Combine two world objects, returns false if no recipe applies
+     */
+    combineObjects(source, target) {
+        const recipe = this.findWorldRecipe(source, target);
+        
+        if (!recipe) return false;
+        
+        console.log(`Crafting ${recipe.name}: ${source.type} onto ${target.type}`);
+        
+        (recipe.effects || []).forEach(effect => this.applyWorldEffect(effect, source, target));
+        
+        const consumes = recipe.consumes || [];
+        
+        if (consumes.includes('source')) {
+            source.destroy();
+        }
+        
+        if (consumes.includes('target')) {
+            target.destroy();
+        }
+        
+        // Outputs appear next to the target
+        const objectManager = this.gameEngine.objectManager;
+        
+        (recipe.outputs || []).forEach((definition, index) => {
+            const object = objectManager.createObject({
+                ...definition,
+                x: target.x + target.width + 10 + index * 30,
+                y: target.y
+            });
+            
+            if (object) {
+                objectManager.addObject(object);
+            }
+        });
+        
+        this.completeRecipe(recipe);
+        return true;
+    }
+    
+    /**
+     * Apply a world recipe effect
+     */
+    applyWorldEffect(effect, source, target) {
+        switch (effect.type) {
+            case 'gift':
+                if (target.receiveGift) {
+                    target.receiveGift(source.itemType, source.value);
+                }
+                break;
+                
+            case 'dialog':
+                if (this.gameEngine.dialogManager) {
+                    this.gameEngine.dialogManager.showCustomDialog(target, {
+                        text: effect.text,
+                        options: [{ text: effect.reply || 'OK' }]
+                    });
+                }
+                break;
+                
+            case 'merge-value':
+                // Combine collectibles to make a more valuable one
+                target.value += source.value;
+                
+                // Visual indication of upgraded collectible
+                if (target.element) {
+                    target.element.classList.add('upgraded');
+                    setTimeout(() => {
+                        if (target.element) {
+                            target.element.classList.remove('upgraded');
+                        }
+                    }, 1000);
+                }
+                break;
+                
+            case 'damage-target':
+                target.takeDamage(effect.amount || 1);
+                break;
+                
+            default:
+                console.warn(`Unknown recipe effect: ${effect.type}`);
+        }
+    }
+    
+    /**
+     * Combine two inventory stacks, returns false if no recipe applies or it can't be crafted
+     */
+    combineItems(sourceIndex, targetIndex) {
+        const inventory = this.gameEngine.inventoryManager;
+        const source = inventory.items[sourceIndex];
+        const target = inventory.items[targetIndex];
+        
+        if (!source || !target || sourceIndex === targetIndex) return false;
+        
+        const recipe = this.findInventoryRecipe(source.type, target.type);
+        
+        if (!recipe) {
+            console.log(`Nothing to craft from ${source.type} and ${target.type}`);
+            return false;
+        }
+        
+        return this.craft(recipe);
+    }
+    
+    /**
+     * Craft an inventory recipe
+     */
+    craft(recipe) {
+        const inventory = this.gameEngine.inventoryManager;
+        
+        if (!this.canCraft(recipe)) {
+            console.log(`Missing ingredients or tools for ${recipe.name}`);
+            return false;
+        }
+        
+        // Stacks as they were, to undo the craft if the outputs don't fit
+        const snapshot = inventory.items.map(stack => ({ ...stack }));
+        
+        (recipe.inputs || []).forEach(input => {
+            inventory.removeItemsOfType(input.item, input.count || 1);
+        });
+        
+        const added = (recipe.outputs || []).every(output => {
+            return inventory.addItem({
+                id: this.gameEngine.random.id(),
+                type: output.item,
+                value: output.value || 1,
+                quantity: output.count || 1
+            });
+        });
+        
+        // Drop the outputs that fit and give the inputs back
+        if (!added) {
+            inventory.items = snapshot;
+            inventory.refreshInventoryUI();
+            
+            console.log(`No room for ${recipe.name}`);
+            return false;
+        }
+        
+        console.log(`Crafted ${recipe.name}`);
+        this.completeRecipe(recipe);
+        return true;
+    }
+    
+    /**
+     * Grant a recipe's experience and add it to the crafting book
+     */
+    completeRecipe(recipe) {
+        if (recipe.experience && this.gameEngine.player) {
+            this.gameEngine.player.gainExperience(recipe.experience);
+        }
+        
+        if (!this.discovered.includes(recipe.id)) {
+            this.discovered.push(recipe.id);
+            console.log(`Discovered recipe: ${recipe.name}`);
+        }
+        
+        this.env.emit('item-crafted', { recipeId: recipe.id });
+        this.refreshCraftingBook();
+    }
+    
+    /**
+     * Toggle the crafting book with C
+     */
+    handleKeyDown(event) {
+        if (!this.gameEngine.isRunning || this.env.isTypingTarget(event.target)) return;
+        
+        if (event.key.toLowerCase() === 'c' && !event.ctrlKey && !event.metaKey && !event.altKey) {
+            this.toggleCraftingBook();
+        }
+    }
+    
+    /**
+     * Toggle crafting book visibility
+     */
+    toggleCraftingBook() {
+        if (!this.craftingBook) return;
+        
+        this.craftingBook.classList.toggle('hidden');
+        this.refreshCraftingBook();
+    }
+    
+    /**
+     * Describe a recipe's ingredients and results for the crafting book
+     */
+    describeRecipe(recipe) {
+        const registry = this.gameEngine.itemRegistry;
+        
+        if (recipe.kind === 'world') {
+            const source = recipe.source.itemType ? registry.get(recipe.source.itemType).name : recipe.source.type;
+            return `Drag ${source} onto ${recipe.target.type}`;
+        }
+        
+        const inputs = (recipe.inputs || []).map(input => `${input.count || 1} ${registry.get(input.item).name}`);
+        const outputs = (recipe.outputs || []).map(output => `${output.count || 1} ${registry.get(output.item).name}`);
+        
+        return `${inputs.join(' + ')} → ${outputs.join(', ')}`;
+    }
+    
+    /**
+     * Refresh the crafting book contents
+     */
+    refreshCraftingBook() {
+        if (!this.recipeList) return;
+        
+        this.recipeList.innerHTML = '';
+        
+        if (this.discovered.length === 0) {
+            const emptyElement = this.env.document.createElement('div');
+            emptyElement.className = 'recipe empty';
+            emptyElement.textContent = 'No recipes discovered yet';
+            this.recipeList.appendChild(emptyElement);
+            return;
+        }
+        
+        this.discovered.forEach(recipeId => {
+            const recipe = this.recipes[recipeId];
+            
+            if (!recipe) return;
+            
+            const recipeElement = this.env.document.createElement('div');
+            recipeElement.className = 'recipe';
+            
+            const nameElement = this.env.document.createElement('div');
+            nameElement.className = 'recipe-name';
+            nameElement.textContent = recipe.name;
+            recipeElement.appendChild(nameElement);
+            
+            const detailsElement = this.env.document.createElement('div');
+            detailsElement.className = 'recipe-details';
+            detailsElement.textContent = this.describeRecipe(recipe);
+            recipeElement.appendChild(detailsElement);
+            
+            const meta = [];
+            
+            if (recipe.tools && recipe.tools.length > 0) {
+                meta.push(`Tools: ${recipe.tools.map(tool => this.gameEngine.itemRegistry.get(tool).name).join(', ')}`);
+            }
+            
+            if (recipe.experience) {
+                meta.push(`${recipe.experience} XP`);
+            }
+            
+            if (meta.length > 0) {
+                const metaElement = this.env.document.createElement('div');
+                metaElement.className = 'recipe-meta';
+                metaElement.textContent = meta.join(' · ');
+                recipeElement.appendChild(metaElement);
+            }
+            
+            // Inventory recipes can be crafted straight from the book
+            if (recipe.kind === 'inventory') {
+                const craftButton = this.env.document.createElement('button');
+                craftButton.textContent = 'Craft';
+                craftButton.disabled = !this.canCraft(recipe);
+                craftButton.addEventListener('click', () => {
+                    this.craft(recipe);
+                });
+                recipeElement.appendChild(craftButton);
+            }
+            
+            this.recipeList.appendChild(recipeElement);
+        });
+    }
+    
+    /**
+     * Serialize discovered recipes for saving
+     */
+    serialize() {
+        return {
+            discovered: this.discovered.slice()
+        };
+    }
+    
+    /**
+     * Deserialize discovered recipes from saved data
+     */
+    deserialize(data) {
+        this.reset();
+        
+        if (!data || !Array.isArray(data.discovered)) return;
+        
+        data.discovered.forEach(recipeId => {
+            if (this.recipes[recipeId] && !this.discovered.includes(recipeId)) {
+                this.discovered.push(recipeId);
+            }
+        });
+        
+        this.refreshCraftingBook();
+    }
+    
+    /**
+     * Clean up event listeners
+     */
+    cleanup() {
+        this.env.unlisten('keydown', this.handleKeyDown);
+    }
+}
@@ -4,16 +4,30 @@
  */
 
 class DialogManager {
-    constructor() {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.env = gameEngine.env;
+        
         // DOM elements
-        this.dialogBox = document.getElementById('dialog-box');
-        this.dialogText = document.getElementById('dialog-text');
-        this.dialogOptions = document.getElementById('dialog-options');
+        this.dialogBox = this.env.getElementById('dialog-box');
+        this.dialogText = this.env.getElementById('dialog-text');
+        this.dialogOptions = this.env.getElementById('dialog-options');
+        this.transcriptElement = this.env.getElementById('dialog-transcript');
+        this.historyButton = this.env.getElementById('dialog-history-toggle');
         
         // State
         this.isActive = false;
         this.currentNPC = null;
         this.currentDialog = null;
+        this.visibleOptions = [];
+        this.selectedOptionIndex = 0;
+        
+        // Lines of past conversations, oldest first
+        this.transcript = [];
+        this.maxTranscriptLines = 200;
+        
+        // Flags set by dialog actions (e.g. "met-guide"), kept in saves
+        this.flags = {};
         
         // Typing effect state
         this.typingSpeed = 30; // ms per character
@@ -23,29 +37,110 @@ class DialogManager {
         
         // Bind methods
         this.handleShowDialog = this.handleShowDialog.bind(this);
+        this.handleShowDialogEvent = this.handleShowDialogEvent.bind(this);
         this.hideDialog = this.hideDialog.bind(this);
         this.handleOptionClick = this.handleOptionClick.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleBoxClick = this.handleBoxClick.bind(this);
+        this.toggleTranscript = this.toggleTranscript.bind(this);
         
         // Set up event listeners
-        document.addEventListener('show-dialog', (event) => {
-            if (event.detail) {
-                this.handleShowDialog(event.detail);
-            }
-        });
+        this.env.on('show-dialog', this.handleShowDialogEvent);
+        this.env.listen('keydown', this.handleKeyDown);
         
-        // Close dialog when clicking outside
-        document.addEventListener('click', (event) => {
-            if (this.isActive && this.dialogBox && !this.dialogBox.contains(event.target)) {
-                this.hideDialog();
+        // Clicking the dialog text finishes typing
+        if (this.dialogBox) {
+            this.dialogBox.addEventListener('click', this.handleBoxClick);
+        }
+        
+        if (this.historyButton) {
+            this.historyButton.addEventListener('click', this.toggleTranscript);
+        }
+    }
+    
+    /**
+     * Handle the show-dialog game event
+     */
+    handleShowDialogEvent(event) {
+        if (event.detail) {
+            this.handleShowDialog(event.detail);
+        }
+    }
+    
+    /**
+     * Handle dialog keys: Space finishes typing, numbers pick an option,
+     * arrows and Enter move through options, H shows the transcript, Escape closes
+     */
+    handleKeyDown(event) {
+        if (!this.isActive) return;
+        
+        const key = event.key;
+        
+        if (key === 'Escape') {
+            this.hideDialog();
+            return;
+        }
+        
+        // Space only skips typing, so tapping it twice doesn't pick an answer by accident
+        if (key === ' ') {
+            event.preventDefault();
+            
+            if (this.isTyping()) {
+                this.completeTyping();
             }
-        });
+            return;
+        }
         
-        // Close dialog with ESC key
-        document.addEventListener('keydown', (event) => {
-            if (this.isActive && event.key === 'Escape') {
-                this.hideDialog();
+        if (key === 'h' || key === 'H') {
+            this.toggleTranscript();
+            return;
+        }
+        
+        // Number keys pick an option directly (1 is the first)
+        if (/^[1-9]$/.test(key)) {
+            const option = this.visibleOptions[parseInt(key, 10) - 1];
+            
+            if (option) {
+                event.preventDefault();
+                this.chooseOption(option);
             }
-        });
+            return;
+        }
+        
+        switch (key) {
+            case 'ArrowUp':
+            case 'ArrowLeft':
+                event.preventDefault();
+                this.selectOption(this.selectedOptionIndex - 1);
+                break;
+                
+            case 'ArrowDown':
+            case 'ArrowRight':
+                event.preventDefault();
+                this.selectOption(this.selectedOptionIndex + 1);
+                break;
+                
+            case 'Enter':
+                event.preventDefault();
+                
+                if (this.isTyping()) {
+                    this.completeTyping();
+                } else {
+                    this.chooseSelectedOption();
+                }
+                break;
+        }
+    }
+    
+    /**
+     * Finish typing when the dialog box (not an option) is clicked
+     */
+    handleBoxClick(event) {
+        if (event.target.closest('button')) return;
+        
+        if (this.isTyping()) {
+            this.completeTyping();
+        }
     }
     
     /**
@@ -55,11 +150,12 @@ class DialogManager {
         if (!data || !data.npc) return;
         
         this.currentNPC = data.npc;
+        this.addTranscriptLine(null, `Talking to ${data.npc.name}`);
         
-        // Get the dialog from NPC
-        const dialogIndex = data.dialogIndex || 0;
-        const dialog = this.currentNPC.getDialog(dialogIndex);
-        
+        // Get the dialog node from NPC (starting over if the node no longer exists)
+        const dialog = this.currentNPC.getDialog(data.nodeId) ||
+            this.currentNPC.getDialog(this.currentNPC.dialogTree.start);
+            
         if (dialog) {
             this.showDialog(dialog);
         }
@@ -78,30 +174,65 @@ class DialogManager {
         this.dialogBox.classList.remove('hidden');
         this.isActive = true;
         
+        // Keep the player still while talking
+        if (this.gameEngine.player) {
+            this.gameEngine.player.setInputEnabled(false);
+        }
+        
+        this.addTranscriptLine(this.currentNPC ? this.currentNPC.name : null, dialog.text);
+        
         // Start typing effect for text
         this.startTypingEffect(dialog.text);
         
         // Clear options
         this.dialogOptions.innerHTML = '';
         
+        // Only offer options whose conditions hold
+        this.visibleOptions = (dialog.options || []).filter(option => this.checkConditions(option.conditions));
+        
+        // Add a default "Close" option if none are available
+        if (this.visibleOptions.length === 0) {
+            this.visibleOptions = [{ text: 'Close' }];
+        }
+        
         // Add response options
-        if (dialog.options && dialog.options.length > 0) {
-            dialog.options.forEach(option => {
-                const optionButton = document.createElement('button');
-                optionButton.textContent = option.text;
-                optionButton.dataset.responseIndex = option.responseIndex;
-                optionButton.addEventListener('click', this.handleOptionClick);
-                
-                this.dialogOptions.appendChild(optionButton);
-            });
-        } else {
-            // Add a default "Close" option if no options provided
-            const closeButton = document.createElement('button');
-            closeButton.textContent = 'Close';
-            closeButton.dataset.responseIndex = -1;
-            closeButton.addEventListener('click', this.handleOptionClick);
+        this.visibleOptions.forEach((option, index) => {
+            const optionButton = this.env.document.createElement('button');
+            optionButton.textContent = `${index + 1}. ${option.text}`;
+            optionButton.dataset.optionIndex = index;
+            optionButton.addEventListener('click', this.handleOptionClick);
             
-            this.dialogOptions.appendChild(closeButton);
+            this.dialogOptions.appendChild(optionButton);
+        });
+        
+        this.selectOption(0);
+    }
+    
+    /**
+     * Highlight an option for keyboard selection (wraps around)
+     */
+    selectOption(index) {
+        const count = this.visibleOptions.length;
+        
+        if (count === 0) return;
+        
+        this.selectedOptionIndex = (index + count) % count;
+        
+        if (this.dialogOptions) {
+            Array.from(this.dialogOptions.children).forEach((button, buttonIndex) => {
+                button.classList.toggle('selected', buttonIndex === this.selectedOptionIndex);
+            });
+        }
+    }
+    
+    /**
+     * Choose the highlighted option
+     */
+    chooseSelectedOption() {
+        const option = this.visibleOptions[this.selectedOptionIndex];
+        
+        if (option) {
+            this.chooseOption(option);
         }
     }
     
@@ -125,9 +256,18 @@ class DialogManager {
         this.dialogBox.classList.add('hidden');
         this.isActive = false;
         
+        if (this.gameEngine.player) {
+            this.gameEngine.player.setInputEnabled(true);
+        }
+        
+        if (this.transcriptElement) {
+            this.transcriptElement.classList.add('hidden');
+        }
+        
         // Reset state
         this.currentNPC = null;
         this.currentDialog = null;
+        this.visibleOptions = [];
         
         // Clear typing effect
         if (this.typingTimer) {
@@ -141,25 +281,147 @@ class DialogManager {
      */
     handleOptionClick(event) {
         const button = event.currentTarget;
-        const responseIndex = parseInt(button.dataset.responseIndex, 10);
+        const option = this.visibleOptions[parseInt(button.dataset.optionIndex, 10)];
+        
+        if (option) {
+            this.chooseOption(option);
+        }
+    }
+    
+    /**
+     * Run an option's actions and follow it to the next node
+     */
+    chooseOption(option) {
+        const npc = this.currentNPC;
         
-        // Close dialog if responseIndex is negative
-        if (responseIndex < 0) {
+        this.addTranscriptLine('You', option.text);
+        
+        (option.actions || []).forEach(action => this.runAction(action, npc));
+        
+        // Options without a next node end the conversation where it is
+        if (!option.next || !npc) {
             this.hideDialog();
             return;
         }
         
-        // Show next dialog if NPC is available
-        if (this.currentNPC) {
-            this.currentNPC.setCurrentDialog(responseIndex);
-            
-            const nextDialog = this.currentNPC.getDialog(responseIndex);
+        npc.setCurrentDialog(option.next);
+        
+        const nextDialog = npc.getDialog(option.next);
+        
+        if (nextDialog && !option.close) {
+            this.showDialog(nextDialog);
+        } else {
+            this.hideDialog();
+        }
+    }
+    
+    /**
+     * Check that all of an option's conditions hold
+     */
+    checkConditions(conditions) {
+        return (conditions || []).every(condition => {
+            return this.checkCondition(condition) !== Boolean(condition.not);
+        });
+    }
+    
+    /**
+     * Check a single dialog condition
+     */
+    checkCondition(condition) {
+        const player = this.gameEngine.player;
+        const inventory = this.gameEngine.inventoryManager;
+        const quests = this.gameEngine.questManager;
+        
+        switch (condition.type) {
+            case 'has-item':
+                return Boolean(inventory) && inventory.hasItemType(condition.item, condition.count || 1);
+                
+            case 'level':
+                return Boolean(player) && player.level >= (condition.min || 1);
+                
+            case 'quest':
+                return Boolean(quests) && quests.getQuestStatus(condition.quest) === (condition.status || 'completed');
+                
+            case 'talked':
+                return Boolean(this.currentNPC) && this.currentNPC.talkCount >= (condition.min || 1);
+                
+            case 'gift':
+                return Boolean(this.currentNPC) && this.currentNPC.getGiftCount(condition.item) >= (condition.count || 1);
+                
+            case 'flag': {
+                const expected = condition.value === undefined ? true : condition.value;
+                const actual = this.flags[condition.flag] === undefined ? false : this.flags[condition.flag];
+                return actual === expected;
+            }
             
-            if (nextDialog) {
-                this.showDialog(nextDialog);
-            } else {
-                this.hideDialog();
+            default:
+                console.warn(`Unknown dialog condition: ${condition.type}`);
+                return false;
+        }
+    }
+    
+    /**
+     * Run a single dialog action
+     */
+    runAction(action, npc) {
+        const player = this.gameEngine.player;
+        const inventory = this.gameEngine.inventoryManager;
+        
+        switch (action.type) {
+            case 'give-item':
+                if (inventory) {
+                    inventory.addItem({
+                        id: this.gameEngine.random.id(),
+                        type: action.item,
+                        value: action.value || 1,
+                        quantity: action.count || 1
+                    });
+                }
+                break;
+                
+            case 'take-item':
+                if (inventory) {
+                    inventory.removeItemsOfType(action.item, action.count || 1);
+                }
+                break;
+                
+            case 'set-flag':
+                this.flags[action.flag] = action.value === undefined ? true : action.value;
+                break;
+                
+            case 'start-quest':
+                if (this.gameEngine.questManager) {
+                    this.gameEngine.questManager.startQuest(action.quest);
+                }
+                break;
+                
+            case 'heal':
+                if (player) {
+                    player.heal(action.amount || player.maxHealth);
+                }
+                break;
+                
+            case 'spawn': {
+                const objectManager = this.gameEngine.objectManager;
+                
+                if (!objectManager || !action.object) break;
+                
+                // Spawn positions are relative to the NPC
+                const offset = action.offset || [0, 0];
+                const object = objectManager.createObject({
+                    ...action.object,
+                    x: (npc ? npc.x : 0) + offset[0],
+                    y: (npc ? npc.y : 0) + offset[1]
+                });
+                
+                if (object) {
+                    objectManager.addObject(object);
+                }
+                break;
             }
+            
+            default:
+                console.warn(`Unknown dialog action: ${action.type}`);
         }
     }
     
@@ -221,10 +483,93 @@ class DialogManager {
         this.currentCharIndex = this.fullText.length;
     }
     
+    /**
+     * Check if dialog text is still being typed
+     */
+    isTyping() {
+        return this.currentCharIndex < this.fullText.length;
+    }
+    
+    /**
+     * Record a line of conversation (speaker null for notes such as who was talked to)
+     */
+    addTranscriptLine(speaker, text) {
+        this.transcript.push({ speaker, text });
+        
+        if (this.transcript.length > this.maxTranscriptLines) {
+            this.transcript.shift();
+        }
+        
+        if (this.transcriptElement && !this.transcriptElement.classList.contains('hidden')) {
+            this.refreshTranscript();
+        }
+    }
+    
+    /**
+     * Toggle the transcript of past conversations
+     */
+    toggleTranscript() {
+        if (!this.transcriptElement) return;
+        
+        this.transcriptElement.classList.toggle('hidden');
+        this.refreshTranscript();
+    }
+    
+    /**
+     * Render the transcript and scroll to the latest line
+     */
+    refreshTranscript() {
+        if (!this.transcriptElement) return;
+        
+        this.transcriptElement.innerHTML = '';
+        
+        this.transcript.forEach(line => {
+            const lineElement = this.env.document.createElement('div');
+            lineElement.className = line.speaker ? 'transcript-line' : 'transcript-line transcript-note';
+            lineElement.textContent = line.speaker ? `${line.speaker}: ${line.text}` : line.text;
+            this.transcriptElement.appendChild(lineElement);
+        });
+        
+        this.transcriptElement.scrollTop = this.transcriptElement.scrollHeight;
+    }
+    
     /**
      * Check if dialog is currently active
      */
     isDialogActive() {
         return this.isActive;
     }
+    
+    /**
+     * Serialize dialog flags for saving
+     */
+    serialize() {
+        return {
+            flags: { ...this.flags }
+        };
+    }
+    
+    /**
+     * Deserialize dialog flags from saved data
+     */
+    deserialize(data) {
+        this.flags = data && data.flags ? { ...data.flags } : {};
+    }
+    
+    /**
+     * Clean up event listeners
+     */
+    cleanup() {
+        this.hideDialog();
+        this.env.off('show-dialog', this.handleShowDialogEvent);
+        this.env.unlisten('keydown', this.handleKeyDown);
+        
+        if (this.dialogBox) {
+            this.dialogBox.removeEventListener('click', this.handleBoxClick);
+        }
+        
+        if (this.historyButton) {
+            this.historyButton.removeEventListener('click', this.toggleTranscript);
+        }
+    }
 }
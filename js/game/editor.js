@@ -0,0 +1,484 @@
+/**
+ * Level Editor
+ * Overlay for building levels in place: place, move, resize and delete objects,
+ * paint world cells and export the result in the level format.
+ */
+
+class LevelEditor {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.env = gameEngine.env;
+        
+        // DOM elements
+        this.container = this.env.getElementById('game-container');
+        this.panel = this.env.getElementById('level-editor-panel');
+        this.labelInput = this.env.getElementById('editor-label');
+        this.cellTypeInput = this.env.getElementById('editor-cell-type');
+        this.cellSolidInput = this.env.getElementById('editor-cell-solid');
+        this.cellColorInput = this.env.getElementById('editor-cell-color');
+        this.snapInput = this.env.getElementById('editor-snap');
+        this.exportButton = this.env.getElementById('editor-export');
+        
+        // State
+        this.isActive = false;
+        this.wasPaused = false;
+        this.tool = 'select';
+        this.selectedObject = null;
+        this.dragMode = null; // 'move', 'resize' or 'paint' while the mouse is down
+        this.dragOffsetX = 0;
+        this.dragOffsetY = 0;
+        this.handleSize = 10; // resize handle size in pixels
+        
+        // Bind methods
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.handleToolClick = this.handleToolClick.bind(this);
+        this.exportLevel = this.exportLevel.bind(this);
+        
+        // Set up event listeners
+        this.env.listen('keydown', this.handleKeyDown);
+        
+        if (this.panel) {
+            this.panel.querySelectorAll('[data-tool]').forEach(button => {
+                button.addEventListener('click', this.handleToolClick);
+            });
+        }
+        
+        if (this.exportButton) {
+            this.exportButton.addEventListener('click', this.exportLevel);
+        }
+    }
+    
+    /**
+     * Handle editor hotkeys (F2 toggles the editor, Delete removes the selection)
+     */
+    handleKeyDown(event) {
+        if (!this.gameEngine.isRunning) return;
+        
+        if (event.key === 'F2') {
+            event.preventDefault();
+            this.toggle();
+            return;
+        }
+        
+        if (!this.isActive || this.env.isTypingTarget(event.target)) return;
+        
+        if ((event.key === 'Delete' || event.key === 'Backspace') && this.selectedObject) {
+            event.preventDefault();
+            this.deleteObject(this.selectedObject);
+        }
+    }
+    
+    /**
+     * Toggle editor mode
+     */
+    toggle() {
+        if (this.isActive) {
+            this.deactivate();
+        } else {
+            this.activate();
+        }
+    }
+    
+    /**
+     * Enter editor mode, pausing the simulation
+     */
+    activate() {
+        if (this.isActive) return;
+        
+        this.isActive = true;
+        this.wasPaused = this.gameEngine.isPaused;
+        this.gameEngine.pause();
+        
+        // Capture mouse input before it reaches the canvas or object elements
+        if (this.container) {
+            this.container.addEventListener('mousedown', this.handleMouseDown, true);
+            this.container.addEventListener('click', this.handleClick, true);
+        }
+        
+        this.env.listen('mousemove', this.handleMouseMove);
+        this.env.listen('mouseup', this.handleMouseUp);
+        
+        if (this.panel) {
+            this.panel.classList.remove('hidden');
+        }
+        
+        this.setTool(this.tool);
+        console.log('Level editor opened');
+    }
+    
+    /**
+     * Leave editor mode, resuming the simulation if it was running before
+     */
+    deactivate() {
+        if (!this.isActive) return;
+        
+        this.isActive = false;
+        this.selectedObject = null;
+        this.dragMode = null;
+        
+        if (!this.wasPaused) {
+            this.gameEngine.resume();
+        }
+        
+        if (this.container) {
+            this.container.removeEventListener('mousedown', this.handleMouseDown, true);
+            this.container.removeEventListener('click', this.handleClick, true);
+        }
+        
+        this.env.unlisten('mousemove', this.handleMouseMove);
+        this.env.unlisten('mouseup', this.handleMouseUp);
+        
+        if (this.panel) {
+            this.panel.classList.add('hidden');
+        }
+        
+        console.log('Level editor closed');
+    }
+    
+    /**
+     * Handle toolbar tool buttons
+     */
+    handleToolClick(event) {
+        this.setTool(event.currentTarget.dataset.tool);
+    }
+    
+    /**
+     * Select the active tool
+     */
+    setTool(tool) {
+        this.tool = tool;
+        
+        if (this.panel) {
+            this.panel.querySelectorAll('[data-tool]').forEach(button => {
+                button.classList.toggle('active', button.dataset.tool === tool);
+            });
+        }
+    }
+    
+    /**
+     * Check if a mouse event targets the editor toolbar
+     */
+    isPanelEvent(event) {
+        return this.panel && this.panel.contains(event.target);
+    }
+    
+    /**
+     * Keep clicks from reaching game objects while editing
+     */
+    handleClick(event) {
+        if (this.isPanelEvent(event)) return;
+        
+        event.stopPropagation();
+    }
+    
+    /**
+     * Handle mouse down on the world
+     */
+    handleMouseDown(event) {
+        if (this.isPanelEvent(event)) return;
+        
+        event.stopPropagation();
+        event.preventDefault();
+        
+        const x = event.clientX;
+        const y = event.clientY;
+        
+        switch (this.tool) {
+            case 'select':
+                this.startSelection(x, y);
+                break;
+                
+            case 'delete': {
+                const target = this.getObjectAt(x, y);
+                
+                if (target) {
+                    this.deleteObject(target);
+                }
+                break;
+            }
+            
+            case 'paint':
+            case 'clear':
+                this.dragMode = 'paint';
+                this.paintCell(x, y);
+                break;
+                
+            default:
+                this.placeObject(this.tool, x, y);
+        }
+    }
+    
+    /**
+     * Handle mouse move while dragging
+     */
+    handleMouseMove(event) {
+        if (!this.dragMode) return;
+        
+        const x = event.clientX;
+        const y = event.clientY;
+        const object = this.selectedObject;
+        
+        switch (this.dragMode) {
+            case 'move':
+                object.x = this.snap(x - this.dragOffsetX);
+                object.y = this.snap(y - this.dragOffsetY);
+                this.gameEngine.objectManager.updateObjectElement(object);
+                break;
+                
+            case 'resize': {
+                const minSize = this.isSnapping() ? this.gameEngine.world.gridSize : 10;
+                object.width = Math.max(minSize, this.snap(x) - object.x);
+                object.height = Math.max(minSize, this.snap(y) - object.y);
+                this.gameEngine.objectManager.updateObjectElement(object);
+                break;
+            }
+            
+            case 'paint':
+                this.paintCell(x, y);
+                break;
+        }
+    }
+    
+    /**
+     * Handle mouse up to end dragging
+     */
+    handleMouseUp() {
+        this.dragMode = null;
+    }
+    
+    /**
+     * Select the object under the cursor and start moving or resizing it
+     */
+    startSelection(x, y) {
+        const selected = this.selectedObject;
+        
+        // Grabbing the handle of the selection resizes it
+        if (selected &&
+            x >= selected.x + selected.width - this.handleSize && x <= selected.x + selected.width + this.handleSize &&
+            y >= selected.y + selected.height - this.handleSize && y <= selected.y + selected.height + this.handleSize) {
+            this.dragMode = 'resize';
+            return;
+        }
+        
+        this.selectedObject = this.getObjectAt(x, y);
+        
+        if (this.selectedObject) {
+            this.dragMode = 'move';
+            this.dragOffsetX = x - this.selectedObject.x;
+            this.dragOffsetY = y - this.selectedObject.y;
+        }
+    }
+    
+    /**
+     * Find the topmost object at pixel coordinates
+     */
+    getObjectAt(x, y) {
+        const objects = this.gameEngine.objectManager.getObjectsAt(x, y);
+        return objects.length > 0 ? objects[objects.length - 1] : null;
+    }
+    
+    /**
+     * Place a new object of the given type
+     */
+    placeObject(type, x, y) {
+        const label = this.labelInput ? this.labelInput.value.trim() : '';
+        const definition = {
+            type,
+            x: this.snap(x),
+            y: this.snap(y)
+        };
+        
+        if (type === 'collectible') {
+            definition.itemType = label || 'coin';
+        } else if (type === 'npc') {
+            definition.name = label || 'Guide';
+        } else if (type === 'door' && label) {
+            definition.keyId = label;
+        } else if (type === 'enemy') {
+            definition.enemyType = label || 'slime';
+        }
+        
+        const object = this.gameEngine.objectManager.createObject(definition, this.gameEngine.world.gridSize);
+        
+        if (object) {
+            this.gameEngine.objectManager.addObject(object);
+            this.selectedObject = object;
+        }
+    }
+    
+    /**
+     * Remove an object from the level
+     */
+    deleteObject(object) {
+        this.gameEngine.objectManager.removeObject(object);
+        
+        if (this.selectedObject === object) {
+            this.selectedObject = null;
+        }
+    }
+    
+    /**
+     * Paint the cell under the cursor with the toolbar settings
+     */
+    paintCell(x, y) {
+        const world = this.gameEngine.world;
+        const gridX = Math.floor(x / world.gridSize);
+        const gridY = Math.floor(y / world.gridSize);
+        
+        if (this.tool === 'clear') {
+            world.setCellType(gridX, gridY, 'empty', {
+                solid: false,
+                color: 'rgba(0, 0, 0, 0)'
+            });
+            return;
+        }
+        
+        world.setCellType(gridX, gridY, this.cellTypeInput ? this.cellTypeInput.value || 'floor' : 'floor', {
+            solid: this.cellSolidInput ? this.cellSolidInput.checked : false,
+            color: this.cellColorInput ? this.hexToRgba(this.cellColorInput.value, 0.4) : 'rgba(127, 140, 141, 0.4)'
+        });
+    }
+    
+    /**
+     * Check if grid snapping is on
+     */
+    isSnapping() {
+        return this.snapInput ? this.snapInput.checked : true;
+    }
+    
+    /**
+     * Snap a pixel coordinate to the grid if snapping is on
+     */
+    snap(value) {
+        if (!this.isSnapping()) return Math.round(value);
+        
+        const gridSize = this.gameEngine.world.gridSize;
+        return Math.round(value / gridSize) * gridSize;
+    }
+    
+    /**
+     * Convert a color input value to an rgba() string
+     */
+    hexToRgba(hex, alpha) {
+        const value = parseInt(hex.slice(1), 16);
+        return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+    }
+    
+    /**
+     * Build a level definition from the current world and objects
+     */
+    buildLevel() {
+        const world = this.gameEngine.world;
+        const player = this.gameEngine.player;
+        const levelId = this.gameEngine.levelId || 'custom';
+        
+        return {
+            id: levelId,
+            name: levelId,
+            gridSize: world.gridSize,
+            playerStart: player ? { x: Math.round(player.x), y: Math.round(player.y) } : { grid: [0, 0] },
+            cells: world.serialize().cells.map(cell => ({
+                x: cell.x,
+                y: cell.y,
+                type: cell.type,
+                solid: cell.solid,
+                color: cell.color
+            })),
+            objects: this.gameEngine.objectManager.objects
+                .filter(obj => !obj.destroyed)
+                .map(obj => obj.toDefinition()),
+            generators: []
+        };
+    }
+    
+    /**
+     * Download the current layout as a level JSON file
+     */
+    exportLevel() {
+        const level = this.buildLevel();
+        const blob = new Blob([JSON.stringify(level, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = this.env.document.createElement('a');
+        link.href = url;
+        link.download = `${level.id}.json`;
+        this.env.document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Revoking right away can cancel the download
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        console.log('Level exported:', level);
+    }
+    
+    /**
+     * Render grid lines and the selection on top of the game
+     */
+    render(ctx) {
+        if (!this.isActive) return;
+        
+        const world = this.gameEngine.world;
+        
+        // Grid lines
+        ctx.save();
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.1)';
+        ctx.lineWidth = 1;
+        
+        for (let x = 0; x <= world.width; x++) {
+            ctx.beginPath();
+            ctx.moveTo(x * world.gridSize, 0);
+            ctx.lineTo(x * world.gridSize, world.height * world.gridSize);
+            ctx.stroke();
+        }
+        
+        for (let y = 0; y <= world.height; y++) {
+            ctx.beginPath();
+            ctx.moveTo(0, y * world.gridSize);
+            ctx.lineTo(world.width * world.gridSize, y * world.gridSize);
+            ctx.stroke();
+        }
+        
+        // Selection outline and resize handle
+        const selected = this.selectedObject;
+        
+        if (selected && !selected.destroyed) {
+            ctx.strokeStyle = '#e74c3c';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 4]);
+            ctx.strokeRect(selected.x, selected.y, selected.width, selected.height);
+            ctx.setLineDash([]);
+            
+            ctx.fillStyle = '#e74c3c';
+            ctx.fillRect(
+                selected.x + selected.width - this.handleSize / 2,
+                selected.y + selected.height - this.handleSize / 2,
+                this.handleSize,
+                this.handleSize
+            );
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Clean up event listeners
+     */
+    cleanup() {
+        this.deactivate();
+        this.env.unlisten('keydown', this.handleKeyDown);
+        
+        if (this.panel) {
+            this.panel.querySelectorAll('[data-tool]').forEach(button => {
+                button.removeEventListener('click', this.handleToolClick);
+            });
+        }
+        
+        if (this.exportButton) {
+            this.exportButton.removeEventListener('click', this.exportLevel);
+        }
+    }
+}
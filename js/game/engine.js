@@ -4,13 +4,34 @@
  */
 
 class GameEngine {
-    constructor() {
+    constructor(env) {
+        // DOM, canvas, viewport and storage (defaults to the current page)
+        this.env = env || GameEnvironment.browser();
+        this.headless = this.env.headless;
+        
+        // Every subsystem draws random numbers from here, so a seed reproduces a world
+        this.random = new SeededRandom();
+        
+        // Seed asked for explicitly (e.g. ?seed= in the URL), which wins over a save's seed
+        this.requestedSeed = null;
+        
+        // Item definitions shared by the inventory, quests and dialogs
+        this.itemRegistry = new ItemRegistry();
+        
         // Game state
         this.isRunning = false;
-        this.lastTimestamp = 0;
-        this.gameContainer = document.getElementById('game-container');
-        this.canvas = document.getElementById('game-canvas');
-        this.ctx = this.canvas.getContext('2d');
+        this.lastTimestamp = null;
+        this.gameContainer = this.env.getElementById('game-container');
+        this.canvas = this.env.canvas;
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+        
+        // Simulation timing
+        this.fixedTimeStep = 1 / 60; // seconds per simulation step
+        this.maxFrameDelta = 0.25; // longest frame time simulated, in seconds
+        this.accumulator = 0;
+        this.timeScale = 1; // below 1 for slow motion
+        this.isPaused = false;
+        this.pendingSteps = 0; // single steps requested while paused
         
         // Game systems
         this.player = null;
@@ -19,6 +40,27 @@ class GameEngine {
         this.interactionManager = null;
         this.inventoryManager = null;
         this.dialogManager = null;
+        this.questManager = null;
+        this.craftingManager = null;
+        this.combatManager = null;
+        this.respawnManager = null;
+        this.hudManager = null;
+        this.skillManager = null;
+        this.websiteStateManager = null;
+        this.websiteElementRegistry = null;
+        this.collision = null;
+        this.saveSlotPanel = null;
+        this.editor = null;
+        
+        // Level played when there is no save to load
+        this.defaultLevelId = 'meadow';
+        this.levelId = null;
+        
+        // Save data storage
+        this.saveManager = new SaveManager(this.env.storage);
+        this.playtime = 0; // seconds played in the current save
+        this.autosaveInterval = 60000; // ms between autosaves
+        this.autosaveTimer = null;
         
         // Initialize game container
         this.initializeCanvas();
@@ -28,7 +70,9 @@ class GameEngine {
         this.handleResize = this.handleResize.bind(this);
         
         // Event listeners
-        window.addEventListener('resize', this.handleResize);
+        if (this.env.window) {
+            this.env.window.addEventListener('resize', this.handleResize);
+        }
     }
     
     /**
@@ -41,26 +85,55 @@ class GameEngine {
         
         // Set up game systems
         this.player = new Player(
-            window.innerWidth / 2, 
-            window.innerHeight / 2
+            this.env.viewport.width / 2,
+            this.env.viewport.height / 2,
+            this.env,
+            this.itemRegistry
         );
         
-        this.world = new World();
-        this.objectManager = new GameObjectManager();
+        this.world = new World(this.env, this.random);
+        this.objectManager = new GameObjectManager(this.env, this.random);
+        this.objectManager.player = this.player;
+        this.websiteStateManager = new WebsiteStateManager(this);
+        this.websiteElementRegistry = new WebsiteElementRegistry(this);
         this.interactionManager = new InteractionManager(this);
-        this.inventoryManager = new InventoryManager();
-        this.dialogManager = new DialogManager();
-        
-        // Load saved game state if exists
-        this.loadGameState();
+        this.inventoryManager = new InventoryManager(this);
+        this.dialogManager = new DialogManager(this);
+        this.objectManager.dialogManager = this.dialogManager;
+        this.questManager = new QuestManager(this);
+        this.craftingManager = new CraftingManager(this);
+        this.combatManager = new CombatManager(this);
+        this.respawnManager = new RespawnManager(this);
+        this.hudManager = new HudManager(this);
+        this.skillManager = new SkillManager(this);
+        this.collision = new CollisionResolver(this.world, this.objectManager);
+        this.saveSlotPanel = new SaveSlotPanel(this);
+        this.editor = new LevelEditor(this);
         
-        // Show game container
-        this.gameContainer.classList.remove('hidden');
-        this.gameContainer.classList.add('active');
+        // Load saved game state if exists, otherwise start a fresh level
+        if (!this.loadGameState()) {
+            this.loadLevel(this.defaultLevelId);
+        }
         
-        // Start game loop
+        // Reset loop timing
         this.isRunning = true;
-        requestAnimationFrame(this.gameLoop);
+        this.lastTimestamp = null;
+        this.accumulator = 0;
+        
+        // Headless games are advanced by calling tick() instead of a render loop
+        if (!this.headless) {
+            // Show game container
+            this.gameContainer.classList.remove('hidden');
+            this.gameContainer.classList.add('active');
+            
+            // Start game loop (the first frame only records its timestamp)
+            requestAnimationFrame(this.gameLoop);
+            
+            // Start periodic autosave
+            this.autosaveTimer = setInterval(() => {
+                this.autosave();
+            }, this.autosaveInterval);
+        }
         
         // Initialize interactions
         this.interactionManager.initialize();
@@ -80,14 +153,30 @@ class GameEngine {
         this.saveGameState();
         
         // Hide game container
-        this.gameContainer.classList.remove('active');
-        this.gameContainer.classList.add('hidden');
+        if (this.gameContainer) {
+            this.gameContainer.classList.remove('active');
+            this.gameContainer.classList.add('hidden');
+        }
         
         // Stop game loop
         this.isRunning = false;
         
+        // Stop autosave
+        clearInterval(this.autosaveTimer);
+        this.autosaveTimer = null;
+        
         // Clean up
         this.interactionManager.cleanup();
+        this.questManager.cleanup();
+        this.craftingManager.cleanup();
+        this.combatManager.cleanup();
+        this.respawnManager.cleanup();
+        this.skillManager.cleanup();
+        this.websiteStateManager.cleanup();
+        this.websiteElementRegistry.cleanup();
+        this.dialogManager.cleanup();
+        this.saveSlotPanel.cleanup();
+        this.editor.cleanup();
         
         console.log('Game engine stopped!');
     }
@@ -98,30 +187,145 @@ class GameEngine {
     gameLoop(timestamp) {
         if (!this.isRunning) return;
         
-        // Calculate delta time
-        const deltaTime = timestamp - this.lastTimestamp;
+        // Calculate delta time, clamped so tab switches don't make things jump
+        const frameDelta = this.lastTimestamp === null ? 0 : (timestamp - this.lastTimestamp) / 1000;
         this.lastTimestamp = timestamp;
         
+        this.advance(Math.min(frameDelta, this.maxFrameDelta));
+        
         // Clear canvas
         this.clearCanvas();
         
-        // Update game state
-        this.update(deltaTime / 1000); // Convert to seconds
-        
-        // Render game objects
-        this.render();
+        // Render game objects, interpolated between the last two simulation steps
+        // (a paused simulation is drawn exactly where it stopped)
+        this.render(this.isPaused ? 1 : this.accumulator / this.fixedTimeStep);
         
         // Schedule next frame
         requestAnimationFrame(this.gameLoop);
     }
     
+    /**
+     * Advance the simulation by a number of seconds without rendering
+     * (drives headless games, e.g. in tests)
+     */
+    tick(seconds) {
+        if (!this.isRunning) return;
+        
+        this.advance(seconds);
+    }
+    
+    /**
+     * Run as many fixed simulation steps as the elapsed time allows
+     */
+    advance(frameDelta) {
+        if (this.isPaused) {
+            // Frame stepping runs exactly one step per request
+            while (this.pendingSteps > 0) {
+                this.pendingSteps--;
+                this.simulateStep();
+            }
+        } else {
+            this.accumulator += frameDelta * this.timeScale;
+            
+            while (this.accumulator >= this.fixedTimeStep) {
+                this.simulateStep();
+                this.accumulator -= this.fixedTimeStep;
+            }
+        }
+        
+        // Keep the HUD current, also while paused or in the editor (equipping, spending
+        // points and importing saves change it without a simulation step)
+        if (this.hudManager) {
+            this.hudManager.update();
+        }
+    }
+    
+    /**
+     * Run a single fixed simulation step
+     */
+    simulateStep() {
+        // Remember where everything was for render interpolation
+        if (this.player) {
+            this.player.savePreviousPosition();
+        }
+        
+        if (this.objectManager) {
+            this.objectManager.savePreviousPositions();
+        }
+        
+        this.update(this.fixedTimeStep);
+    }
+    
+    /**
+     * Pause the simulation (rendering continues)
+     */
+    pause() {
+        this.isPaused = true;
+        this.accumulator = 0;
+    }
+    
+    /**
+     * Resume the simulation
+     */
+    resume() {
+        this.isPaused = false;
+        this.pendingSteps = 0;
+    }
+    
+    /**
+     * Toggle the paused state
+     */
+    togglePause() {
+        if (this.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+    
+    /**
+     * Set the global time scale (1 is normal speed, 0.5 is half speed)
+     */
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+    }
+    
+    /**
+     * Advance a paused simulation by a number of steps on the next frame
+     */
+    stepFrame(steps = 1) {
+        if (!this.isPaused) {
+            this.pause();
+        }
+        
+        this.pendingSteps += steps;
+    }
+    
     /**
      * Update game state
      */
     update(deltaTime) {
+        // Track playtime for save slots
+        this.playtime += deltaTime;
+        
         // Update player
         if (this.player) {
-            this.player.update(deltaTime);
+            this.player.update(deltaTime, this.collision);
+        }
+        
+        // Update enemies and attacks
+        if (this.combatManager) {
+            this.combatManager.update(deltaTime);
+        }
+        
+        // Check for checkpoints reached
+        if (this.respawnManager) {
+            this.respawnManager.update(deltaTime);
+        }
+        
+        // Run passive skills
+        if (this.skillManager) {
+            this.skillManager.update(deltaTime);
         }
         
         // Update world objects
@@ -133,7 +337,9 @@ class GameEngine {
     /**
      * Render game objects
      */
-    render() {
+    render(alpha = 1) {
+        if (!this.ctx) return;
+        
         // Render world
         if (this.world) {
             this.world.render(this.ctx);
@@ -141,12 +347,22 @@ class GameEngine {
         
         // Render game objects
         if (this.objectManager) {
-            this.objectManager.render(this.ctx);
+            this.objectManager.render(this.ctx, alpha);
         }
         
         // Render player
         if (this.player) {
-            this.player.render(this.ctx);
+            this.player.render(this.ctx, alpha);
+        }
+        
+        // Render attacks
+        if (this.combatManager) {
+            this.combatManager.render(this.ctx);
+        }
+        
+        // Render editor overlay
+        if (this.editor) {
+            this.editor.render(this.ctx);
         }
     }
     
@@ -161,6 +377,8 @@ class GameEngine {
      * Clear canvas
      */
     clearCanvas() {
+        if (!this.ctx) return;
+        
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
     }
     
@@ -168,71 +386,284 @@ class GameEngine {
      * Handle window resize
      */
     handleResize() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
+        if (!this.canvas) return;
+        
+        this.canvas.width = this.env.viewport.width;
+        this.canvas.height = this.env.viewport.height;
     }
     
     /**
-     * Save game state to localStorage
+     * Collect the current state of all game systems
      */
-    saveGameState() {
-        const gameState = {
+    getGameState() {
+        return {
             player: this.player ? this.player.serialize() : null,
             world: this.world ? this.world.serialize() : null,
             objects: this.objectManager ? this.objectManager.serialize() : null,
-            inventory: this.inventoryManager ? this.inventoryManager.serialize() : null
+            inventory: this.inventoryManager ? this.inventoryManager.serialize() : null,
+            quests: this.questManager ? this.questManager.serialize() : null,
+            dialog: this.dialogManager ? this.dialogManager.serialize() : null,
+            crafting: this.craftingManager ? this.craftingManager.serialize() : null,
+            respawn: this.respawnManager ? this.respawnManager.serialize() : null,
+            website: this.websiteStateManager ? this.websiteStateManager.serialize() : null,
+            playtime: this.playtime,
+            levelId: this.levelId,
+            seed: this.random.seed,
+            randomState: this.random.state
         };
-        
-        localStorage.setItem('butteredUpsad_gameState', JSON.stringify(gameState));
+    }
+    
+    /**
+     * Save game state to a slot (the active slot by default)
+     */
+    saveGameState(slot) {
+        this.saveManager.save(this.getGameState(), slot);
         console.log('Game state saved!');
     }
     
     /**
-     * Load game state from localStorage
+     * Load game state from a slot (the active slot by default)
      */
-    loadGameState() {
-        const savedState = localStorage.getItem('butteredUpsad_gameState');
+    loadGameState(slot) {
+        // Save data is migrated and validated before any of it is applied
+        const gameState = this.saveManager.load(slot);
+        
+        if (!gameState) return false;
+        
+        let error = this.applyGameStateSafely(gameState);
+        
+        // A save that can't be applied is set aside like an invalid one, the backup is tried instead
+        if (error) {
+            console.error('Error loading game state:', error);
+            
+            const backupState = this.saveManager.reject(slot, [error.message]);
+            
+            if (!backupState) return false;
+            
+            error = this.applyGameStateSafely(backupState);
+            
+            if (error) {
+                console.error('Error loading backup game state:', error);
+                return false;
+            }
+        }
         
-        if (savedState) {
+        // Later saves go to the slot that was loaded
+        if (slot) {
+            this.saveManager.activeSlot = slot;
+        }
+        
+        console.log('Game state loaded!');
+        return true;
+    }
+    
+    /**
+     * Apply a game state, going back to the current one if it fails partway.
+     * Returns the error, or null if the game state was applied.
+     */
+    applyGameStateSafely(gameState) {
+        const previousState = this.getGameState();
+        
+        try {
+            this.applyGameState(gameState);
+            return null;
+        } catch (error) {
             try {
-                const gameState = JSON.parse(savedState);
-                
-                // Load player state
-                if (gameState.player && this.player) {
-                    this.player.deserialize(gameState.player);
-                }
-                
-                // Load world state
-                if (gameState.world && this.world) {
-                    this.world.deserialize(gameState.world);
-                }
-                
-                // Load objects state
-                if (gameState.objects && this.objectManager) {
-                    this.objectManager.deserialize(gameState.objects);
-                }
+                this.applyGameState(previousState);
+            } catch (restoreError) {
+                // Start the level over rather than play on a half-applied state
+                console.error('Error restoring the previous game state:', restoreError);
+                this.loadLevel(this.defaultLevelId);
+            }
+            
+            return error;
+        }
+    }
+    
+    /**
+     * Apply a validated game state to all game systems
+     */
+    applyGameState(gameState) {
+        // Restore the seed first, the world layout depends on it
+        if (typeof gameState.seed === 'number') {
+            if (this.requestedSeed !== null && gameState.seed !== this.requestedSeed) {
+                console.log(`Keeping the requested seed ${this.requestedSeed} instead of the save's seed ${gameState.seed}`);
+            } else {
+                this.random.setSeed(gameState.seed);
                 
-                // Load inventory state
-                if (gameState.inventory && this.inventoryManager) {
-                    this.inventoryManager.deserialize(gameState.inventory);
+                if (typeof gameState.randomState === 'number') {
+                    this.random.state = gameState.randomState;
                 }
-                
-                console.log('Game state loaded!');
-            } catch (error) {
-                console.error('Error loading game state:', error);
             }
         }
+        
+        // Load player state
+        if (gameState.player && this.player) {
+            this.player.deserialize(gameState.player);
+        }
+        
+        // Load world state
+        if (gameState.world && this.world) {
+            this.world.deserialize(gameState.world);
+        }
+        
+        // Load objects state
+        if (gameState.objects && this.objectManager) {
+            this.objectManager.deserialize(gameState.objects);
+        }
+        
+        // Load inventory state
+        if (gameState.inventory && this.inventoryManager) {
+            this.inventoryManager.deserialize(gameState.inventory);
+        }
+        
+        // Load dialog flags
+        if (this.dialogManager) {
+            this.dialogManager.deserialize(gameState.dialog);
+        }
+        
+        // Load the respawn point (after the player and checkpoints)
+        if (this.respawnManager) {
+            this.respawnManager.deserialize(gameState.respawn);
+        }
+        
+        // Load discovered recipes
+        if (this.craftingManager) {
+            this.craftingManager.deserialize(gameState.crafting);
+        }
+        
+        // Reapply website changes (saves from before they were tracked repair the website)
+        if (this.websiteStateManager) {
+            this.websiteStateManager.deserialize(gameState.website);
+        }
+        
+        // Load quest progress (saves from before quests start them over)
+        if (this.questManager) {
+            this.questManager.deserialize(gameState.quests);
+        }
+        
+        this.playtime = gameState.playtime || 0;
+        this.levelId = gameState.levelId || null;
+        
+        // Show the loaded state without flashing
+        if (this.hudManager) {
+            this.hudManager.reset();
+            this.hudManager.update();
+        }
     }
     
     /**
-     * Reset game state
+     * Load a level definition (or the ID of one in LEVEL_DEFINITIONS),
+     * replacing the current world and objects
+     */
+    loadLevel(level) {
+        const definition = typeof level === 'string' ? LEVEL_DEFINITIONS[level] : level;
+        
+        if (!definition) {
+            console.error(`Unknown level: ${level}`);
+            return false;
+        }
+        
+        if (this.world) {
+            this.world.loadLevel(definition);
+        }
+        
+        if (this.objectManager) {
+            this.objectManager.clearAllObjects();
+            this.objectManager.loadLevel(definition, this.world ? this.world.gridSize : definition.gridSize);
+        }
+        
+        // Move the player to the level's start position
+        if (this.player && definition.playerStart) {
+            const gridSize = this.world ? this.world.gridSize : 50;
+            const start = definition.playerStart.grid ?
+                { x: definition.playerStart.grid[0] * gridSize, y: definition.playerStart.grid[1] * gridSize } :
+                definition.playerStart;
+                
+            this.player.x = start.x;
+            this.player.y = start.y;
+            this.player.savePreviousPosition();
+            this.player.updateElementPosition();
+        }
+        
+        // Dying respawns at the level start until a checkpoint is reached
+        if (this.respawnManager && this.player) {
+            this.respawnManager.reset({ x: this.player.x, y: this.player.y });
+        }
+        
+        this.levelId = definition.id || null;
+        console.log(`Loaded level: ${definition.name || this.levelId}`);
+        return true;
+    }
+    
+    /**
+     * Fetch a level JSON file and load it
+     */
+    async loadLevelFromUrl(url) {
+        const response = await fetch(url);
+        
+        if (!response.ok) {
+            throw new Error(`Could not load level ${url}: ${response.status}`);
+        }
+        
+        return this.loadLevel(await response.json());
+    }
+    
+    /**
+     * Set the world seed (takes effect for worlds generated afterwards, and is kept when a save is loaded)
+     */
+    setSeed(seed) {
+        this.random.setSeed(seed);
+        this.requestedSeed = this.random.seed;
+        console.log(`World seed: ${this.random.seed}`);
+    }
+    
+    /**
+     * Save to the next rotating quicksave slot
+     */
+    quicksave() {
+        this.saveGameState(this.saveManager.getNextQuicksaveSlot());
+    }
+    
+    /**
+     * Load the most recent quicksave
+     */
+    quickload() {
+        const slot = this.saveManager.getLatestQuicksaveSlot();
+        
+        if (!slot) {
+            console.log('No quicksave to load');
+            return false;
+        }
+        
+        // Keep saving into the slot that was played before the quickload
+        const activeSlot = this.saveManager.activeSlot;
+        const loaded = this.loadGameState(slot);
+        this.saveManager.activeSlot = activeSlot;
+        
+        return loaded;
+    }
+    
+    /**
+     * Save to the autosave slot
+     */
+    autosave() {
+        if (!this.isRunning) return;
+        
+        this.saveGameState(this.saveManager.autosaveSlot);
+    }
+    
+    /**
+     * Reset game state of the active slot
      */
     resetGameState() {
-        localStorage.removeItem('butteredUpsad_gameState');
+        this.saveManager.clear();
         console.log('Game state reset!');
         
         // Reload the page to start fresh
-        window.location.reload();
+        if (this.env.window) {
+            this.env.window.location.reload();
+        }
     }
 }
 
@@ -0,0 +1,137 @@
+/**
+ * Game Environment
+ * Provides the DOM, canvas, viewport, storage and event bus the game systems run against,
+ * so they can be created in a browser or headless (e.g. in Node tests).
+ */
+
+class GameEnvironment {
+    constructor(options = {}) {
+        this.headless = Boolean(options.headless);
+        
+        // Browser globals (null when headless)
+        this.document = options.document || null;
+        this.window = options.window || null;
+        this.canvas = options.canvas || null;
+        
+        // Viewport size in pixels (may be a live view of the window size)
+        this.viewport = options.viewport || { width: 800, height: 600 };
+        
+        // Save data storage
+        this.storage = options.storage || new MemoryStorage();
+        
+        // Event bus for game events such as 'collect-item' and 'show-dialog'
+        this.events = options.events || this.document || new EventTarget();
+    }
+    
+    /**
+     * Create an environment backed by the current page
+     */
+    static browser() {
+        return new GameEnvironment({
+            document,
+            window,
+            canvas: document.getElementById('game-canvas'),
+            storage: localStorage,
+            viewport: {
+                get width() { return window.innerWidth; },
+                get height() { return window.innerHeight; }
+            }
+        });
+    }
+    
+    /**
+     * Create an environment with no DOM or rendering, for running the simulation only
+     */
+    static headless(options = {}) {
+        return new GameEnvironment({
+            headless: true,
+            viewport: {
+                width: options.width || 800,
+                height: options.height || 600
+            },
+            storage: options.storage,
+            events: options.events
+        });
+    }
+    
+    /**
+     * Find a DOM element by ID (always null when headless)
+     */
+    getElementById(id) {
+        return this.document ? this.document.getElementById(id) : null;
+    }
+    
+    /**
+     * Listen for DOM input events on the document (ignored when headless)
+     */
+    listen(type, handler) {
+        if (this.document) {
+            this.document.addEventListener(type, handler);
+        }
+    }
+    
+    /**
+     * Stop listening for DOM input events on the document
+     */
+    unlisten(type, handler) {
+        if (this.document) {
+            this.document.removeEventListener(type, handler);
+        }
+    }
+    
+    /**
+     * Check if a DOM event target takes typing (text fields and editable content), so game keys
+     * pressed there are left alone
+     */
+    isTypingTarget(target) {
+        if (!target) return false;
+        
+        return target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || Boolean(target.isContentEditable);
+    }
+    
+    /**
+     * Listen for a game event
+     */
+    on(type, handler) {
+        this.events.addEventListener(type, handler);
+    }
+    
+    /**
+     * Stop listening for a game event
+     */
+    off(type, handler) {
+        this.events.removeEventListener(type, handler);
+    }
+    
+    /**
+     * Dispatch a game event
+     */
+    emit(type, detail) {
+        this.events.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
+
+/**
+ * In-memory replacement for localStorage
+ */
+class MemoryStorage {
+    constructor() {
+        this.data = new Map();
+    }
+    
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+    
+    setItem(key, value) {
+        this.data.set(key, String(value));
+    }
+    
+    removeItem(key) {
+        this.data.delete(key);
+    }
+    
+    clear() {
+        this.data.clear();
+    }
+}
@@ -0,0 +1,157 @@
+/**
+ * HUD Manager
+ * Keeps the always-visible HUD (health, experience, level, coins and the current objective)
+ * in sync with the game, and flashes it when the player levels up or gets hurt.
+ */
+
+class HudManager {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.env = gameEngine.env;
+        
+        // DOM elements
+        this.hud = this.env.getElementById('hud');
+        this.levelElement = this.env.getElementById('hud-level');
+        this.healthBar = this.env.getElementById('hud-health');
+        this.healthFill = this.env.getElementById('hud-health-fill');
+        this.healthText = this.env.getElementById('hud-health-text');
+        this.xpFill = this.env.getElementById('hud-xp-fill');
+        this.xpText = this.env.getElementById('hud-xp-text');
+        this.coinsElement = this.env.getElementById('hud-coins');
+        this.objectiveElement = this.env.getElementById('hud-objective');
+        
+        // Last shown values, so the DOM is only touched when something changed
+        this.shown = {};
+    }
+    
+    /**
+     * Collect the values the HUD shows
+     */
+    getState() {
+        const player = this.gameEngine.player;
+        const inventoryManager = this.gameEngine.inventoryManager;
+        const questManager = this.gameEngine.questManager;
+        
+        return {
+            health: player ? player.health : 0,
+            maxHealth: player ? player.maxHealth : 0,
+            level: player ? player.level : 1,
+            experience: player ? player.experience : 0,
+            nextLevelXP: player ? player.nextLevelXP : 0,
+            coins: inventoryManager ? inventoryManager.getItemCount('coin') : 0,
+            objective: questManager ? questManager.getTrackedObjective() : null
+        };
+    }
+    
+    /**
+     * Update the HUD if anything changed
+     */
+    update() {
+        if (!this.hud) return;
+        
+        const state = this.getState();
+        const shown = this.shown;
+        
+        // Flash on level-up and damage (not on the first update after a reset)
+        if (shown.level !== undefined) {
+            if (state.level > shown.level) {
+                this.flash(this.hud, 'level-up', 1000);
+            }
+            
+            if (state.health < shown.health && state.level === shown.level) {
+                this.flash(this.healthBar, 'damaged', 200);
+            }
+        }
+        
+        if (state.health !== shown.health || state.maxHealth !== shown.maxHealth) {
+            const percent = state.maxHealth > 0 ? state.health / state.maxHealth * 100 : 0;
+            
+            this.setWidth(this.healthFill, percent);
+            this.setText(this.healthText, `${Math.ceil(state.health)} / ${state.maxHealth}`);
+            
+            if (this.healthBar) {
+                this.healthBar.classList.toggle('low', percent <= 25);
+            }
+        }
+        
+        if (state.experience !== shown.experience || state.nextLevelXP !== shown.nextLevelXP) {
+            const percent = state.nextLevelXP > 0 ? Math.min(100, state.experience / state.nextLevelXP * 100) : 0;
+            
+            this.setWidth(this.xpFill, percent);
+            this.setText(this.xpText, `${state.experience} / ${state.nextLevelXP} XP`);
+        }
+        
+        if (state.level !== shown.level) {
+            this.setText(this.levelElement, `Lv ${state.level}`);
+        }
+        
+        if (state.coins !== shown.coins) {
+            this.setText(this.coinsElement, `● ${state.coins}`);
+        }
+        
+        const objectiveText = this.describeObjective(state.objective);
+        
+        if (objectiveText !== shown.objectiveText) {
+            this.setText(this.objectiveElement, objectiveText);
+            
+            if (this.objectiveElement) {
+                this.objectiveElement.classList.toggle('hidden', !objectiveText);
+            }
+        }
+        
+        this.shown = { ...state, objectiveText };
+    }
+    
+    /**
+     * Describe the tracked objective, e.g. "Coin Collector: Collect coins (2/5)"
+     */
+    describeObjective(objective) {
+        if (!objective) return '';
+        
+        const progress = objective.count > 1 ? ` (${objective.progress}/${objective.count})` : '';
+        
+        return `${objective.title}: ${objective.description}${progress}`;
+    }
+    
+    /**
+     * Briefly add an animation class to an element
+     */
+    flash(element, className, duration) {
+        if (!element) return;
+        
+        element.classList.remove(className);
+        
+        // Restart the animation if it is still running
+        void element.offsetWidth;
+        
+        element.classList.add(className);
+        setTimeout(() => {
+            element.classList.remove(className);
+        }, duration);
+    }
+    
+    /**
+     * Set a bar fill width in percent
+     */
+    setWidth(element, percent) {
+        if (element) {
+            element.style.width = `${Math.max(0, percent)}%`;
+        }
+    }
+    
+    /**
+     * Set an element's text
+     */
+    setText(element, text) {
+        if (element) {
+            element.textContent = text;
+        }
+    }
+    
+    /**
+     * Forget the shown values, so the next update redraws without flashing
+     */
+    reset() {
+        this.shown = {};
+    }
+}
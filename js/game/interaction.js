@@ -6,21 +6,35 @@
 class InteractionManager {
     constructor(gameEngine) {
         this.gameEngine = gameEngine;
-        this.container = document.getElementById('game-container');
-        this.canvas = document.getElementById('game-canvas');
+        this.env = gameEngine.env;
+        this.container = this.env.getElementById('game-container');
+        this.canvas = this.env.canvas;
         
         // State
         this.draggingObject = null;
         this.dragOffsetX = 0;
         this.dragOffsetY = 0;
+        this.dragRange = 200; // pixels between the player's and the object's edges
         this.clickedElements = [];
         
+        // Website element being dragged (data-game-draggable) and where the drag started
+        this.draggingElement = null;
+        this.elementDragStart = null;
+        
+        // Game panels that items dropped on are ignored
+        this.uiPanelSelector = [
+            '#inventory-panel', '#quest-log', '#hud', '#game-over', '#crafting-book',
+            '#skill-tree', '#dialog-box', '#save-slot-panel', '#level-editor-panel'
+        ].join(',');
+        
         // Bind methods
         this.handleClick = this.handleClick.bind(this);
         this.handleMouseDown = this.handleMouseDown.bind(this);
         this.handleMouseMove = this.handleMouseMove.bind(this);
         this.handleMouseUp = this.handleMouseUp.bind(this);
         this.handleInteractiveElements = this.handleInteractiveElements.bind(this);
+        this.handleItemDragOver = this.handleItemDragOver.bind(this);
+        this.handleItemDrop = this.handleItemDrop.bind(this);
     }
     
     /**
@@ -32,64 +46,80 @@ class InteractionManager {
         // Add event listeners
         this.canvas.addEventListener('click', this.handleClick);
         this.canvas.addEventListener('mousedown', this.handleMouseDown);
-        document.addEventListener('mousemove', this.handleMouseMove);
-        document.addEventListener('mouseup', this.handleMouseUp);
-        
-        // Initialize interaction with website elements
-        this.initializeWebsiteInteractions();
+        this.env.listen('mousemove', this.handleMouseMove);
+        this.env.listen('mouseup', this.handleMouseUp);
+        this.env.listen('dragover', this.handleItemDragOver);
+        this.env.listen('drop', this.handleItemDrop);
+        
+        // Make website elements interactable, including ones the page adds later
+        if (this.gameEngine.websiteElementRegistry) {
+            this.gameEngine.websiteElementRegistry.start();
+        }
         
         console.log('Interaction manager initialized');
     }
     
     /**
-     * Initialize interactions with website elements
+     * Read the rules a website element declares with data attributes:
+     * data-game-interaction, data-game-health, data-game-loot ("coin, potion:0.25, coin:0.5:5"
+     * as item:chance:value), data-game-on-destroy ("redact", "remove", "invert", "shake" or "none"),
+     * data-game-draggable and data-game-protected
      */
-    initializeWebsiteInteractions() {
-        // Add interactive class to elements that can be affected by the game
-        const interactiveSelectors = [
-            'h1', 'h2', 'p', 'button', 'input', 'textarea',
-            '.blog-post', '.nav-links li', 'form', 'img'
-        ];
-        
-        const websiteElements = document.querySelectorAll(interactiveSelectors.join(','));
-        
-        websiteElements.forEach(element => {
-            // Skip elements that are part of the game
-            if (element.closest('#game-container')) return;
-            
-            // Add game-interactable class for styling
-            element.classList.add('game-interactable');
-            
-            // Add data attribute for interaction type
-            const tagName = element.tagName.toLowerCase();
-            let interactionType = 'generic';
-            
-            if (tagName === 'h1' || tagName === 'h2') {
-                interactionType = 'header';
-            } else if (tagName === 'p') {
-                interactionType = 'text';
-            } else if (tagName === 'button' || tagName === 'input' || tagName === 'textarea') {
-                interactionType = 'control';
-            } else if (element.classList.contains('blog-post')) {
-                interactionType = 'content';
-            } else if (tagName === 'img') {
-                interactionType = 'image';
-            }
-            
-            element.dataset.gameInteraction = interactionType;
-            
-            // Add health property for breakable elements
-            element.dataset.gameHealth = '3';
-            element.dataset.gameMaxHealth = '3';
-        });
+    getElementRules(element) {
+        const dataset = element.dataset;
+        const isSet = value => value !== undefined && value !== 'false';
+        
+        const onDestroy = dataset.gameOnDestroy || (element.tagName.toLowerCase() === 'p' ? 'redact' : 'none');
+        
+        return {
+            interaction: dataset.gameInteraction || 'generic',
+            loot: this.parseLootTable(dataset.gameLoot),
+            onDestroy: onDestroy.split(/[\s,]+/).filter(Boolean),
+            draggable: isSet(dataset.gameDraggable),
+            protected: isSet(dataset.gameProtected)
+        };
+    }
+    
+    /**
+     * Parse a data-game-loot attribute into loot entries like the enemy loot tables
+     */
+    parseLootTable(text) {
+        if (!text) return [];
+        
+        return text.split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => {
+                const [item, chance, value] = entry.split(':').map(part => part.trim());
+                
+                return {
+                    item,
+                    chance: chance ? parseFloat(chance) : 1,
+                    value: value ? parseInt(value) : 1
+                };
+            });
+    }
+    
+    /**
+     * Check if the level editor owns mouse input
+     */
+    isEditing() {
+        return Boolean(this.gameEngine.editor && this.gameEngine.editor.isActive);
+    }
+    
+    /**
+     * Check if the player is dead and waiting to respawn
+     */
+    isPlayerDead() {
+        return Boolean(this.gameEngine.player && this.gameEngine.player.isDead);
     }
     
     /**
      * Handle canvas click
      */
     handleClick(event) {
-        // Only process if game is running
-        if (!this.gameEngine.isRunning) return;
+        // Only process if game is running, not being edited and the player is alive
+        if (!this.gameEngine.isRunning || this.isEditing() || this.isPlayerDead()) return;
         
         const x = event.clientX;
         const y = event.clientY;
@@ -101,7 +131,7 @@ class InteractionManager {
             // Process click on topmost object
             if (objects.length > 0) {
                 const topObject = objects[objects.length - 1];
-                topObject.onClick(event);
+                this.gameEngine.objectManager.clickObject(topObject, event);
                 return; // Prevent further processing
             }
         }
@@ -124,8 +154,8 @@ class InteractionManager {
      * Handle mouse down for dragging
      */
     handleMouseDown(event) {
-        // Only process if game is running
-        if (!this.gameEngine.isRunning) return;
+        // Only process if game is running, not being edited and the player is alive
+        if (!this.gameEngine.isRunning || this.isEditing() || this.isPlayerDead()) return;
         
         const x = event.clientX;
         const y = event.clientY;
@@ -135,9 +165,12 @@ class InteractionManager {
             const objects = this.gameEngine.objectManager.getObjectsAt(x, y);
             
             // Find first draggable object
-            const draggable = objects.find(obj => obj.interactive && !obj.solid);
+            const draggable = objects.find(obj => obj.interactive && obj.draggable && !obj.solid);
             
-            if (draggable) {
+            if (draggable && !this.isInDragRange(draggable)) {
+                console.log('That is too far away to drag');
+                return;
+            } else if (draggable) {
                 // Start dragging
                 this.draggingObject = draggable;
                 this.dragOffsetX = x - draggable.x;
@@ -150,14 +183,63 @@ class InteractionManager {
                 
                 // Prevent default behavior
                 event.preventDefault();
+                return;
             }
+            
+            // Objects in the way keep the website element below from being dragged
+            if (objects.length > 0) return;
         }
+        
+        // Drag website elements marked with data-game-draggable
+        const element = this.getWebsiteElementAt(x, y);
+        
+        if (element && this.getElementRules(element).draggable && !this.getElementRules(element).protected) {
+            const offset = this.getElementOffset(element);
+            
+            // Remember where it was, so a repair can move it back
+            if (this.gameEngine.websiteStateManager) {
+                this.gameEngine.websiteStateManager.rememberOriginal(element);
+            }
+            
+            this.draggingElement = element;
+            this.elementDragStart = { x: x - offset.x, y: y - offset.y };
+            element.classList.add('dragging');
+            
+            event.preventDefault();
+        }
+    }
+    
+    /**
+     * Get how far a website element has been dragged from its place
+     */
+    getElementOffset(element) {
+        const websiteStateManager = this.gameEngine.websiteStateManager;
+        const mutation = websiteStateManager ? websiteStateManager.mutations[websiteStateManager.getElementId(element)] : null;
+        
+        return mutation && mutation.offset ? mutation.offset : { x: 0, y: 0 };
+    }
+    
+    /**
+     * Check if an object is close enough to the player to drag (the long reach skill adds range)
+     */
+    isInDragRange(object) {
+        const player = this.gameEngine.player;
+        
+        if (!player) return true;
+        
+        return object.distanceTo(player) <= this.dragRange + player.getSkillBonus('dragRange');
     }
     
     /**
      * Handle mouse move for dragging
      */
     handleMouseMove(event) {
+        // Move a dragged website element
+        if (this.draggingElement) {
+            this.draggingElement.style.translate = `${event.clientX - this.elementDragStart.x}px ${event.clientY - this.elementDragStart.y}px`;
+            return;
+        }
+        
         // Only process if currently dragging
         if (!this.draggingObject) return;
         
@@ -169,8 +251,8 @@ class InteractionManager {
         this.draggingObject.y = y - this.dragOffsetY;
         
         // Keep within bounds
-        this.draggingObject.x = Math.max(0, Math.min(window.innerWidth - this.draggingObject.width, this.draggingObject.x));
-        this.draggingObject.y = Math.max(0, Math.min(window.innerHeight - this.draggingObject.height, this.draggingObject.y));
+        this.draggingObject.x = Math.max(0, Math.min(this.env.viewport.width - this.draggingObject.width, this.draggingObject.x));
+        this.draggingObject.y = Math.max(0, Math.min(this.env.viewport.height - this.draggingObject.height, this.draggingObject.y));
         
         // Update DOM element
         if (this.draggingObject.element) {
@@ -183,6 +265,21 @@ class InteractionManager {
      * Handle mouse up to end dragging
      */
     handleMouseUp(event) {
+        // Leave a dragged website element where it was dropped
+        if (this.draggingElement) {
+            this.draggingElement.classList.remove('dragging');
+            this.mutateWebsiteElement(this.draggingElement, {
+                offset: {
+                    x: event.clientX - this.elementDragStart.x,
+                    y: event.clientY - this.elementDragStart.y
+                }
+            });
+            
+            this.draggingElement = null;
+            this.elementDragStart = null;
+            return;
+        }
+        
         // Only process if currently dragging
         if (!this.draggingObject) return;
         
@@ -217,59 +314,150 @@ class InteractionManager {
     }
     
     /**
-     * Handle interaction with website elements
+     * Get the inventory stack being dragged, if an item drag can be dropped here
      */
-    handleWebsiteElementInteraction(event) {
-        // Only if game is active
-        if (!this.gameEngine.isRunning) return;
+    getDraggedItemIndex() {
+        const inventoryManager = this.gameEngine.inventoryManager;
+        
+        if (!this.gameEngine.isRunning || this.isEditing() || !inventoryManager) return null;
+        
+        return inventoryManager.draggingIndex;
+    }
+    
+    /**
+     * Allow inventory items to be dropped anywhere on the page
+     */
+    handleItemDragOver(event) {
+        if (this.getDraggedItemIndex() === null) return;
+        
+        event.preventDefault();
+    }
+    
+    /**
+     * Handle an inventory item dropped outside the inventory: use it on the object
+     * or website element under it, otherwise put it back into the world
+     */
+    handleItemDrop(event) {
+        const index = this.getDraggedItemIndex();
+        
+        if (index === null) return;
         
-        // Get element under cursor (excluding game container)
-        let target = document.elementFromPoint(event.clientX, event.clientY);
+        event.preventDefault();
         
-        // Find closest interactable parent
-        while (target && !target.classList.contains('game-interactable')) {
-            target = target.parentElement;
+        const inventoryManager = this.gameEngine.inventoryManager;
+        const x = event.clientX;
+        const y = event.clientY;
+        
+        inventoryManager.draggingIndex = null;
+        
+        // Dropped on a game panel, e.g. the inventory panel but not on a slot
+        if (event.target && event.target.closest && event.target.closest(this.uiPanelSelector)) return;
+        
+        if (this.gameEngine.objectManager) {
+            const objects = this.gameEngine.objectManager.getObjectsAt(x, y);
             
-            // Stop if reached game container or document body
-            if (!target || target === this.container || target === document.body) {
+            if (objects.length > 0) {
+                inventoryManager.useItemOn(index, objects[objects.length - 1]);
                 return;
             }
         }
         
+        const element = this.getWebsiteElementAt(x, y);
+        
+        if (element) {
+            inventoryManager.useItemOn(index, element);
+            return;
+        }
+        
+        inventoryManager.dropItem(index, x, y);
+    }
+    
+    /**
+     * Get the interactable website element at a position, looking through the game layer
+     */
+    getWebsiteElementAt(x, y) {
+        if (!this.env.document || !this.env.document.elementsFromPoint) return null;
+        
+        for (const element of this.env.document.elementsFromPoint(x, y)) {
+            // Skip the game layer above the website
+            if (this.container && this.container.contains(element)) continue;
+            
+            const interactable = element.closest('.game-interactable');
+            const registry = this.gameEngine.websiteElementRegistry;
+            
+            if (interactable && (!registry || registry.isInteractable(interactable))) {
+                return interactable;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Apply an item's target effect to a website element, returns true if it had an effect
+     */
+    applyItemToElement(definition, element) {
+        const effect = definition.targetEffect;
+        
+        if (effect && effect.type === 'damage' && element.dataset.gameHealth) {
+            this.damageWebsiteElement(element, effect.amount || 1);
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Handle interaction with website elements
+     */
+    handleWebsiteElementInteraction(event) {
+        // Only if game is active
+        if (!this.gameEngine.isRunning) return;
+        
+        // Get interactable element under cursor (excluding game container)
+        const target = this.getWebsiteElementAt(event.clientX, event.clientY);
+        
         // If found an interactable element
-        if (target && target.classList.contains('game-interactable')) {
+        if (target) {
             console.log('Interacting with website element:', target);
             
+            // Protected elements can't be changed
+            if (this.getElementRules(target).protected) {
+                this.shakeElement(target);
+                return;
+            }
+            
             // Process based on interaction type
             const interactionType = target.dataset.gameInteraction || 'generic';
             
             switch (interactionType) {
                 case 'header':
                     // Change text color randomly
-                    target.style.color = this.getRandomColor();
+                    this.mutateWebsiteElement(target, { color: this.getRandomColor() });
                     break;
                     
                 case 'text':
-                    // Reduce "health" of text elements when clicked
+                case 'breakable':
+                    // Reduce "health" of text and breakable elements when clicked
                     this.damageWebsiteElement(target);
                     break;
                     
                 case 'control':
                     // Randomize position slightly
-                    const offsetX = (Math.random() - 0.5) * 20;
-                    const offsetY = (Math.random() - 0.5) * 20;
-                    target.style.transform = `translate(${offsetX}px, ${offsetY}px)`;
+                    const offsetX = this.gameEngine.random.range(-10, 10);
+                    const offsetY = this.gameEngine.random.range(-10, 10);
+                    this.mutateWebsiteElement(target, { transform: `translate(${offsetX}px, ${offsetY}px)` });
                     break;
                     
                 case 'content':
                     // Toggle visibility
-                    target.classList.toggle('game-damaged');
+                    this.mutateWebsiteElement(target, { hidden: !target.classList.contains('game-damaged') });
                     break;
                     
                 case 'image':
                     // Rotate slightly
-                    const angle = (Math.random() - 0.5) * 30;
-                    target.style.transform = `rotate(${angle}deg)`;
+                    const angle = this.gameEngine.random.range(-15, 15);
+                    this.mutateWebsiteElement(target, { transform: `rotate(${angle}deg)` });
                     break;
                     
                 default:
@@ -291,40 +479,118 @@ class InteractionManager {
     }
     
     /**
-     * Damage a website element
+     * Damage a website element (by the player's damage unless an amount is given)
      */
-    damageWebsiteElement(element) {
+    damageWebsiteElement(element, amount) {
         if (!element.dataset.gameHealth) return;
         
-        // Reduce health
-        let health = parseInt(element.dataset.gameHealth);
-        health = Math.max(0, health - 1);
+        const rules = this.getElementRules(element);
+        
+        if (rules.protected) {
+            this.shakeElement(element);
+            return;
+        }
+        
+        // Reduce health by the player's damage plus skill bonuses
+        const player = this.gameEngine.player;
+        const damage = amount || (player ? player.getStat('damage') + player.getSkillBonus('websiteDamage') : 1);
+        const previousHealth = parseInt(element.dataset.gameHealth);
+        const health = Math.max(0, previousHealth - damage);
         element.dataset.gameHealth = health.toString();
         
-        // Visual effects based on health
-        element.classList.remove('game-damaged-1', 'game-damaged-2', 'game-destroyed');
+        // Let quests count the damage
+        if (health < previousHealth) {
+            this.env.emit('website-element-damaged', {
+                interaction: element.dataset.gameInteraction || 'generic',
+                tagName: element.tagName.toLowerCase(),
+                health
+            });
+        }
         
-        if (health === 0) {
-            // Element "destroyed"
-            element.classList.add('game-destroyed');
-            
-            // Special effects based on element type
-            if (element.tagName.toLowerCase() === 'p') {
-                element.textContent = '[redacted]';
-            }
-        } else if (health === 1) {
-            element.classList.add('game-damaged-2');
-        } else {
-            element.classList.add('game-damaged-1');
+        // Visual effects based on health and the element's on-destroy effects
+        this.mutateWebsiteElement(element, {
+            health,
+            redacted: health === 0 && rules.onDestroy.includes('redact'),
+            removed: health === 0 && rules.onDestroy.includes('remove')
+        });
+        
+        if (health === 0 && previousHealth > 0) {
+            this.handleWebsiteElementDestroyed(element, rules);
         }
         
-        // Add shake effect
+        this.shakeElement(element);
+    }
+    
+    /**
+     * Drop a destroyed website element's loot and run its page-wide on-destroy effects
+     */
+    handleWebsiteElementDestroyed(element, rules) {
+        if (rules.onDestroy.includes('invert')) {
+            this.flashBodyClass('game-invert', 2000);
+        }
+        
+        if (rules.onDestroy.includes('shake')) {
+            this.flashBodyClass('game-shake', 1000);
+        }
+        
+        const objectManager = this.gameEngine.objectManager;
+        
+        if (!objectManager || rules.loot.length === 0 || !element.getBoundingClientRect) return;
+        
+        // Drop the loot around the element's center, within the game area
+        const rect = element.getBoundingClientRect();
+        const drops = rules.loot.filter(entry => this.gameEngine.random.chance(entry.chance));
+        
+        drops.forEach((entry, index) => {
+            const angle = (index / drops.length) * Math.PI * 2;
+            const spread = drops.length > 1 ? 20 : 0;
+            const collectible = new CollectibleObject(0, 0, entry.item);
+            
+            collectible.value = entry.value;
+            collectible.x = Math.max(0, Math.min(this.env.viewport.width - collectible.width,
+                rect.left + rect.width / 2 + Math.cos(angle) * spread - collectible.width / 2));
+            collectible.y = Math.max(0, Math.min(this.env.viewport.height - collectible.height,
+                rect.top + rect.height / 2 + Math.sin(angle) * spread - collectible.height / 2));
+                
+            objectManager.addObject(collectible);
+        });
+    }
+    
+    /**
+     * Shake a website element briefly
+     */
+    shakeElement(element) {
         element.classList.add('shake');
         setTimeout(() => {
             element.classList.remove('shake');
         }, 200);
     }
     
+    /**
+     * Add a class to the page body for a while
+     */
+    flashBodyClass(className, duration) {
+        const body = this.env.document ? this.env.document.body : null;
+        
+        if (!body) return;
+        
+        body.classList.add(className);
+        setTimeout(() => {
+            body.classList.remove(className);
+        }, duration);
+    }
+    
+    /**
+     * Change a website element so the change is saved (see WebsiteStateManager.applyMutation)
+     */
+    mutateWebsiteElement(element, changes) {
+        if (this.getElementRules(element).protected) return;
+        
+        if (this.gameEngine.websiteStateManager) {
+            this.gameEngine.websiteStateManager.mutate(element, changes);
+        }
+    }
+    
     /**
      * Handle special effects when enough elements are interacted with
      */
@@ -333,42 +599,41 @@ class InteractionManager {
         this.clickedElements = [];
         
         // Random website-wide effect
-        const effect = Math.floor(Math.random() * 4);
+        const effect = this.gameEngine.random.int(0, 4);
         
         switch (effect) {
             case 0:
                 // Invert colors briefly
-                document.body.classList.add('game-invert');
-                setTimeout(() => {
-                    document.body.classList.remove('game-invert');
-                }, 2000);
+                this.flashBodyClass('game-invert', 2000);
                 break;
                 
             case 1:
                 // Shake everything
-                document.body.classList.add('game-shake');
-                setTimeout(() => {
-                    document.body.classList.remove('game-shake');
-                }, 1000);
+                this.flashBodyClass('game-shake', 1000);
                 break;
                 
             case 2:
                 // Spawn a random collectible
                 if (this.gameEngine.objectManager) {
-                    const x = Math.random() * (window.innerWidth - 30);
-                    const y = Math.random() * (window.innerHeight - 30);
+                    const x = this.gameEngine.random.range(0, this.env.viewport.width - 30);
+                    const y = this.gameEngine.random.range(0, this.env.viewport.height - 30);
                     const collectible = new CollectibleObject(x, y, 'bonus');
                     this.gameEngine.objectManager.addObject(collectible);
                 }
                 break;
                 
-            case 3:
+            case 3: {
                 // Change page background
-                document.body.style.backgroundColor = this.getRandomLightColor();
-                setTimeout(() => {
-                    document.body.style.backgroundColor = '';
-                }, 3000);
+                const body = this.env.document ? this.env.document.body : null;
+                
+                if (body) {
+                    body.style.backgroundColor = this.getRandomLightColor();
+                    setTimeout(() => {
+                        body.style.backgroundColor = '';
+                    }, 3000);
+                }
                 break;
+            }
         }
     }
     
@@ -380,60 +645,14 @@ class InteractionManager {
         
         console.log(`Combining ${sourceObj.type} with ${targetObj.type}`);
         
-        // Different combinations based on object types
-        const combo = `${sourceObj.type}_${targetObj.type}`;
-        
-        switch (combo) {
-            case 'collectible_npc':
-                // Give collectible to NPC
-                sourceObj.destroy();
-                
-                // Show special dialog
-                if (this.gameEngine.dialogManager) {
-                    const specialDialog = {
-                        text: "Thanks for the gift! Here's something in return.",
-                        options: [
-                            { text: "You're welcome!", responseIndex: -1 }
-                        ]
-                    };
-                    
-                    this.gameEngine.dialogManager.showCustomDialog(targetObj, specialDialog);
-                }
-                
-                // Spawn a better collectible
-                if (this.gameEngine.objectManager) {
-                    const x = targetObj.x + targetObj.width + 10;
-                    const y = targetObj.y;
-                    const newCollectible = new CollectibleObject(x, y, 'special');
-                    newCollectible.value = 5;
-                    this.gameEngine.objectManager.addObject(newCollectible);
-                }
-                break;
-                
-            case 'collectible_collectible':
-                // Combine collectibles to make a more valuable one
-                sourceObj.destroy();
-                targetObj.value += sourceObj.value;
-                
-                // Visual indication of upgraded collectible
-                if (targetObj.element) {
-                    targetObj.element.classList.add('upgraded');
-                    setTimeout(() => {
-                        targetObj.element.classList.remove('upgraded');
-                    }, 1000);
-                }
-                break;
-                
-            case 'collectible_wall':
-                // Collectible breaks wall
-                sourceObj.destroy();
-                targetObj.takeDamage(1);
-                break;
-                
-            default:
-                // Generic interaction - source takes damage
-                sourceObj.takeDamage(1);
+        // Recipes decide what combinations do
+        if (this.gameEngine.craftingManager &&
+            this.gameEngine.craftingManager.combineObjects(sourceObj, targetObj)) {
+            return;
         }
+        
+        // Generic interaction - source takes damage
+        sourceObj.takeDamage(1);
     }
     
     /**
@@ -443,7 +662,7 @@ class InteractionManager {
         const letters = '0123456789ABCDEF';
         let color = '#';
         for (let i = 0; i < 6; i++) {
-            color += letters[Math.floor(Math.random() * 16)];
+            color += letters[this.gameEngine.random.int(0, 16)];
         }
         return color;
     }
@@ -452,9 +671,9 @@ class InteractionManager {
      * Generate a random light color (for backgrounds)
      */
     getRandomLightColor() {
-        const r = 200 + Math.floor(Math.random() * 55);
-        const g = 200 + Math.floor(Math.random() * 55);
-        const b = 200 + Math.floor(Math.random() * 55);
+        const r = this.gameEngine.random.int(200, 255);
+        const g = this.gameEngine.random.int(200, 255);
+        const b = this.gameEngine.random.int(200, 255);
         return `rgb(${r}, ${g}, ${b})`;
     }
     
@@ -467,7 +686,9 @@ class InteractionManager {
             this.canvas.removeEventListener('mousedown', this.handleMouseDown);
         }
         
-        document.removeEventListener('mousemove', this.handleMouseMove);
-        document.removeEventListener('mouseup', this.handleMouseUp);
+        this.env.unlisten('mousemove', this.handleMouseMove);
+        this.env.unlisten('mouseup', this.handleMouseUp);
+        this.env.unlisten('dragover', this.handleItemDragOver);
+        this.env.unlisten('drop', this.handleItemDrop);
     }
 }
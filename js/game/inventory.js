@@ -4,11 +4,20 @@
  */
 
 class InventoryManager {
-    constructor() {
-        this.items = [];
-        this.maxItems = 12; // Maximum number of items in inventory
-        this.inventoryPanel = document.getElementById('inventory-panel');
-        this.inventoryItems = document.getElementById('inventory-items');
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.env = gameEngine.env;
+        this.registry = gameEngine.itemRegistry;
+        this.items = []; // Stacks of { id, type, value, quantity }
+        this.maxItems = 12; // Maximum number of stacks (slots) in inventory
+        this.inventoryPanel = this.env.getElementById('inventory-panel');
+        this.inventoryItems = this.env.getElementById('inventory-items');
+        this.equipmentSlots = this.env.getElementById('equipment-slots');
+        this.playerStats = this.env.getElementById('player-stats');
+        this.tooltip = null;
+        
+        // Index of the stack being dragged out of the inventory
+        this.draggingIndex = null;
         
         // Bind methods
         this.handleCollectItem = this.handleCollectItem.bind(this);
@@ -16,21 +25,21 @@ class InventoryManager {
         this.toggleInventoryPanel = this.toggleInventoryPanel.bind(this);
         
         // Set up event listeners
-        document.addEventListener('collect-item', (event) => {
+        this.env.on('collect-item', (event) => {
             if (event.detail) {
                 this.handleCollectItem(event.detail);
             }
         });
         
         // Toggle inventory panel on hover near right edge
-        document.addEventListener('mousemove', (event) => {
+        this.env.listen('mousemove', (event) => {
             const edgeThreshold = 50;
             
-            if (this.inventoryPanel && event.clientX > window.innerWidth - edgeThreshold) {
+            if (this.inventoryPanel && event.clientX > this.env.viewport.width - edgeThreshold) {
                 this.showInventoryPanel();
             } else if (this.inventoryPanel && 
                      this.inventoryPanel.classList.contains('visible') && 
-                     event.clientX < window.innerWidth - 250) {
+                     event.clientX < this.env.viewport.width - 250) {
                 this.hideInventoryPanel();
             }
         });
@@ -47,13 +56,18 @@ class InventoryManager {
         
         if (this.inventoryPanel) {
             // Create inventory panel toggle button
-            const toggleButton = document.createElement('button');
+            const toggleButton = this.env.document.createElement('button');
             toggleButton.id = 'inventory-toggle';
             toggleButton.textContent = 'I';
             toggleButton.className = 'inventory-toggle';
             toggleButton.addEventListener('click', this.toggleInventoryPanel);
             
-            document.body.appendChild(toggleButton);
+            this.env.document.body.appendChild(toggleButton);
+            
+            // Shared tooltip for item details
+            this.tooltip = this.env.document.createElement('div');
+            this.tooltip.className = 'item-tooltip hidden';
+            this.inventoryPanel.appendChild(this.tooltip);
         }
     }
     
@@ -88,84 +102,136 @@ class InventoryManager {
     }
     
     /**
-     * Add item to inventory
+     * Add item to inventory, stacking it with identical items.
+     * Nothing is added if the whole quantity doesn't fit.
      */
     addItem(item) {
+        item = this.registry.normalize(item);
+        
+        const quantity = item.quantity || 1;
+        const stackLimit = this.registry.getStackLimit(item.type);
+        
+        // Room left in existing stacks, then in free slots
+        const stacks = this.items.filter(stack => this.registry.canStack(stack, item));
+        const stackRoom = stacks.reduce((room, stack) => room + Math.max(0, stackLimit - stack.quantity), 0);
+        const slotRoom = (this.maxItems - this.items.length) * stackLimit;
+        
         // Check if inventory is full
-        if (this.items.length >= this.maxItems) {
+        if (quantity > stackRoom + slotRoom) {
             console.log('Inventory is full!');
             return false;
         }
         
-        // Add item to inventory
-        this.items.push(item);
+        let remaining = quantity;
+        
+        stacks.forEach(stack => {
+            const added = Math.min(remaining, stackLimit - stack.quantity);
+            
+            if (added > 0) {
+                stack.quantity += added;
+                remaining -= added;
+            }
+        });
+        
+        // The first new stack keeps the item's ID unless part of it was stacked onto others
+        if (remaining > 0) {
+            this.items.push(...this.toStacks({ ...item, id: remaining === quantity ? item.id : null, quantity: remaining }));
+        }
         
         // Update UI
         this.refreshInventoryUI();
         
-        console.log(`Added ${item.type} to inventory`);
+        console.log(`Added ${quantity} ${item.type} to inventory`);
         return true;
     }
     
     /**
-     * Remove item from inventory
+     * Split an item into new stacks of at most its stack limit (the first stack keeps the item's ID)
      */
-    removeItem(index) {
+    toStacks(item) {
+        const stackLimit = this.registry.getStackLimit(item.type);
+        const stacks = [];
+        let remaining = item.quantity;
+        
+        while (remaining > 0) {
+            const quantity = Math.min(remaining, stackLimit);
+            
+            stacks.push({
+                id: stacks.length === 0 && item.id ? item.id : this.gameEngine.random.id(),
+                type: item.type,
+                value: item.value || 1,
+                quantity
+            });
+            
+            remaining -= quantity;
+        }
+        
+        return stacks;
+    }
+    
+    /**
+     * Remove items from a stack (the whole stack by default)
+     */
+    removeItem(index, quantity) {
         if (index >= 0 && index < this.items.length) {
-            const item = this.items[index];
-            this.items.splice(index, 1);
+            const stack = this.items[index];
+            const removed = Math.min(stack.quantity, quantity || stack.quantity);
+            
+            stack.quantity -= removed;
+            
+            if (stack.quantity <= 0) {
+                this.items.splice(index, 1);
+            }
             
             // Update UI
             this.refreshInventoryUI();
             
-            console.log(`Removed ${item.type} from inventory`);
-            return item;
+            console.log(`Removed ${removed} ${stack.type} from inventory`);
+            return { ...stack, quantity: removed };
         }
         
         return null;
     }
     
     /**
-     * Use item from inventory
+     * Remove a number of items of a type across stacks, returns how many were removed
+     */
+    removeItemsOfType(type, quantity = 1) {
+        let remaining = quantity;
+        
+        // Take from the last stacks first so full stacks stay in front
+        for (let index = this.items.length - 1; index >= 0 && remaining > 0; index--) {
+            if (this.items[index].type === type) {
+                remaining -= this.removeItem(index, remaining).quantity;
+            }
+        }
+        
+        return quantity - remaining;
+    }
+    
+    /**
+     * Use one item of a stack from inventory
      */
     useItem(index) {
         if (index >= 0 && index < this.items.length) {
             const item = this.items[index];
+            const definition = this.registry.get(item.type);
             
-            console.log(`Using ${item.type} from inventory`);
+            // Equipment is worn instead of used
+            if (definition.slot) {
+                return this.equipItem(index);
+            }
             
-            // Process item effects based on type
-            let consumed = false;
+            console.log(`Using ${definition.name} from inventory`);
             
-            switch (item.type) {
-                case 'coin':
-                    // Coins just add to score, not consumed
-                    break;
-                    
-                case 'key':
-                    // Keys can be used to unlock things
-                    // For now, just consume the item
-                    consumed = true;
-                    break;
-                    
-                case 'special':
-                    // Special items have powerful effects
-                    // Trigger a special website effect
-                    document.body.classList.add('special-effect');
-                    setTimeout(() => {
-                        document.body.classList.remove('special-effect');
-                    }, 2000);
-                    consumed = true;
-                    break;
-                    
-                default:
-                    // By default, items are consumed when used
-                    consumed = true;
+            // Process the item's use effect, keeping the item if it had nothing to act on
+            if (definition.effect && !this.applyItemEffect(definition.effect, definition)) {
+                return false;
             }
             
-            // Remove item if consumed
-            if (consumed) {
-                this.removeItem(index);
+            // Remove one item if consumed
+            if (definition.consumable) {
+                this.removeItem(index, 1);
             }
             
             return true;
@@ -174,6 +240,211 @@ class InventoryManager {
         return false;
     }
     
+    /**
+     * Move a stack to another slot, swapping it with the stack there
+     * (or after the last stack when dropped on an empty slot)
+     */
+    moveItem(fromIndex, toIndex) {
+        if (fromIndex < 0 || fromIndex >= this.items.length) return false;
+        
+        const targetIndex = Math.max(0, toIndex);
+        
+        if (targetIndex === fromIndex) return false;
+        
+        const stack = this.items[fromIndex];
+        
+        if (targetIndex < this.items.length) {
+            // Swap with the stack in the target slot
+            this.items[fromIndex] = this.items[targetIndex];
+            this.items[targetIndex] = stack;
+        } else {
+            // Empty slots come after all stacks, so the stack moves to the end
+            if (fromIndex === this.items.length - 1) return false;
+            
+            this.items.splice(fromIndex, 1);
+            this.items.push(stack);
+        }
+        
+        this.refreshInventoryUI();
+        return true;
+    }
+    
+    /**
+     * Drop one item of a stack into the world as a collectible at a position
+     */
+    dropItem(index, x, y) {
+        const objectManager = this.gameEngine.objectManager;
+        
+        if (!objectManager || index < 0 || index >= this.items.length) return null;
+        
+        const removed = this.removeItem(index, 1);
+        const collectible = new CollectibleObject(0, 0, removed.type);
+        collectible.value = removed.value || 1;
+        collectible.dropped = true;
+        
+        // Center it on the drop position, inside the viewport
+        collectible.x = Math.max(0, Math.min(this.env.viewport.width - collectible.width, x - collectible.width / 2));
+        collectible.y = Math.max(0, Math.min(this.env.viewport.height - collectible.height, y - collectible.height / 2));
+        
+        objectManager.addObject(collectible);
+        
+        console.log(`Dropped ${removed.type} into the world`);
+        return collectible;
+    }
+    
+    /**
+     * Use one item of a stack on a game object or website element
+     */
+    useItemOn(index, target) {
+        if (!target || index < 0 || index >= this.items.length) return false;
+        
+        const item = this.items[index];
+        const definition = this.registry.get(item.type);
+        const interactionManager = this.gameEngine.interactionManager;
+        let used = false;
+        
+        if (typeof target.onItemUsed === 'function') {
+            used = target.onItemUsed(item, definition);
+        } else if (interactionManager) {
+            used = interactionManager.applyItemToElement(definition, target);
+        }
+        
+        if (!used) {
+            console.log(`${definition.name} has no effect there`);
+            return false;
+        }
+        
+        console.log(`Used ${definition.name} on ${target.type || target.tagName.toLowerCase()}`);
+        
+        // Remove one item if consumed
+        if (definition.consumable) {
+            this.removeItem(index, 1);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Move one item of a stack into its equipment slot, swapping out what was there
+     */
+    equipItem(index) {
+        const player = this.gameEngine.player;
+        
+        if (!player || index < 0 || index >= this.items.length) return false;
+        
+        const stack = this.items[index];
+        const item = { id: stack.id, type: stack.type, value: stack.value };
+        const previous = player.equip(item);
+        
+        // Keep the stack if the item has no equipment slot
+        if (!Object.values(player.equipment).includes(item)) return false;
+        
+        this.removeItem(index, 1);
+        
+        if (previous) {
+            this.addItem({ ...previous, quantity: 1 });
+        }
+        
+        this.refreshInventoryUI();
+        return true;
+    }
+    
+    /**
+     * Move an equipped item back into the inventory
+     */
+    unequipItem(slot) {
+        const player = this.gameEngine.player;
+        
+        if (!player || !player.equipment[slot]) return false;
+        
+        const item = player.unequip(slot);
+        
+        // Keep it equipped if there is no room for it
+        if (!this.addItem({ ...item, quantity: 1 })) {
+            player.equip(item);
+            return false;
+        }
+        
+        this.refreshInventoryUI();
+        return true;
+    }
+    
+    /**
+     * Apply an item's use effect, returns false if it had no effect
+     */
+    applyItemEffect(effect, definition = {}) {
+        const player = this.gameEngine.player;
+        
+        switch (effect.type) {
+            case 'heal':
+                if (player) {
+                    player.heal(effect.amount || 0);
+                }
+                break;
+                
+            case 'experience':
+                if (player) {
+                    player.gainExperience(effect.amount || 0);
+                }
+                break;
+                
+            case 'website-effect':
+                // Trigger a website-wide effect
+                if (this.env.document) {
+                    this.env.document.body.classList.add(effect.className);
+                    setTimeout(() => {
+                        this.env.document.body.classList.remove(effect.className);
+                    }, effect.duration || 2000);
+                }
+                break;
+                
+            case 'unlock': {
+                const door = this.findDoorInReach(definition, effect.range || 80);
+                
+                if (!door) {
+                    console.log('There is no locked door in reach');
+                    return false;
+                }
+                
+                door.unlock();
+                break;
+            }
+            
+            default:
+                console.warn(`Unknown item effect: ${effect.type}`);
+                return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Find the nearest locked door within range of the player that a key unlocks
+     */
+    findDoorInReach(definition, range) {
+        const player = this.gameEngine.player;
+        const objectManager = this.gameEngine.objectManager;
+        
+        if (!player || !objectManager) return null;
+        
+        const playerX = player.x + player.width / 2;
+        const playerY = player.y + player.height / 2;
+        
+        // Distance from the player's center to the nearest point of the door
+        const distanceTo = (door) => {
+            const dx = Math.max(door.x - playerX, 0, playerX - (door.x + door.width));
+            const dy = Math.max(door.y - playerY, 0, playerY - (door.y + door.height));
+            return Math.hypot(dx, dy);
+        };
+        
+        const doors = objectManager.objects
+            .filter(obj => obj instanceof DoorObject && !obj.destroyed && obj.locked && obj.acceptsKey(definition))
+            .filter(door => distanceTo(door) <= range)
+            .sort((a, b) => distanceTo(a) - distanceTo(b));
+            
+        return doors[0] || null;
+    }
+    
     /**
      * Handle collecting an item
      */
@@ -181,11 +452,12 @@ class InventoryManager {
         if (!itemData) return;
         
         // Create item from data
-        const item = {
-            id: Math.random().toString(36).substr(2, 9),
+        const item = this.registry.normalize({
+            id: this.gameEngine.random.id(),
             type: itemData.type || 'generic',
-            value: itemData.value || 1
-        };
+            value: itemData.value || 1,
+            quantity: 1
+        });
         
         // Add to inventory
         const added = this.addItem(item);
@@ -193,12 +465,12 @@ class InventoryManager {
         // Show feedback if added
         if (added) {
             // Create floating text effect at collection position
-            const gameContainer = document.getElementById('game-container');
+            const gameContainer = this.env.getElementById('game-container');
             
             if (gameContainer) {
-                const floatingText = document.createElement('div');
+                const floatingText = this.env.document.createElement('div');
                 floatingText.className = 'floating-text';
-                floatingText.textContent = `+1 ${item.type}`;
+                floatingText.textContent = `+${item.quantity} ${this.registry.get(item.type).name}`;
                 floatingText.style.left = `${event.clientX}px`;
                 floatingText.style.top = `${event.clientY}px`;
                 
@@ -239,39 +511,37 @@ class InventoryManager {
         
         // Clear inventory UI
         this.inventoryItems.innerHTML = '';
+        this.hideTooltip();
         
         // Add items to UI
         this.items.forEach((item, index) => {
-            const itemElement = document.createElement('div');
-            itemElement.className = `inventory-item ${item.type}`;
+            const definition = this.registry.get(item.type);
+            const itemElement = this.env.document.createElement('div');
+            itemElement.className = `inventory-item ${item.type} rarity-${definition.rarity}`;
             itemElement.dataset.index = index;
             
-            // Set content based on item type
-            switch (item.type) {
-                case 'coin':
-                    itemElement.innerHTML = `<span class="coin-icon">●</span>`;
-                    break;
-                    
-                case 'key':
-                    itemElement.innerHTML = `<span class="key-icon">⚿</span>`;
-                    break;
-                    
-                case 'special':
-                    itemElement.innerHTML = `<span class="special-icon">★</span>`;
-                    break;
-                    
-                default:
-                    itemElement.innerHTML = `<span class="item-icon">▪</span>`;
-            }
+            const iconElement = this.env.document.createElement('span');
+            iconElement.className = 'item-icon';
+            iconElement.textContent = definition.icon;
+            itemElement.appendChild(iconElement);
             
-            // Show value if greater than 1
-            if (item.value > 1) {
-                const valueElement = document.createElement('span');
-                valueElement.className = 'item-value';
-                valueElement.textContent = item.value;
-                itemElement.appendChild(valueElement);
+            // Show stack size if more than one
+            if (item.quantity > 1) {
+                const quantityElement = this.env.document.createElement('span');
+                quantityElement.className = 'item-quantity';
+                quantityElement.textContent = item.quantity;
+                itemElement.appendChild(quantityElement);
             }
             
+            // Show details on hover
+            itemElement.addEventListener('mouseenter', () => {
+                this.showTooltip(item, itemElement);
+            });
+            
+            itemElement.addEventListener('mouseleave', () => {
+                this.hideTooltip();
+            });
+            
             // Add click handler
             itemElement.addEventListener('click', this.handleItemUse);
             
@@ -279,30 +549,190 @@ class InventoryManager {
             itemElement.draggable = true;
             itemElement.addEventListener('dragstart', (event) => {
                 event.dataTransfer.setData('text/plain', index);
+                this.draggingIndex = index;
                 itemElement.classList.add('dragging');
+                this.hideTooltip();
             });
             
             itemElement.addEventListener('dragend', () => {
+                this.draggingIndex = null;
                 itemElement.classList.remove('dragging');
             });
             
+            this.addDropHandlers(itemElement, index);
+            
             // Add to inventory UI
             this.inventoryItems.appendChild(itemElement);
         });
         
         // Add empty slots to fill up to max
         for (let i = this.items.length; i < this.maxItems; i++) {
-            const emptySlot = document.createElement('div');
+            const emptySlot = this.env.document.createElement('div');
             emptySlot.className = 'inventory-item empty';
+            this.addDropHandlers(emptySlot, i);
             this.inventoryItems.appendChild(emptySlot);
         }
+        
+        this.refreshEquipmentUI();
     }
     
     /**
-     * Get item count by type
+     * Let inventory stacks be dropped onto a slot, crafting with the stack
+     * there if a recipe uses both, otherwise moving the stack
+     */
+    addDropHandlers(slotElement, index) {
+        slotElement.addEventListener('dragover', (event) => {
+            if (this.draggingIndex === null) return;
+            
+            event.preventDefault();
+            slotElement.classList.add('drop-target');
+        });
+        
+        slotElement.addEventListener('dragleave', () => {
+            slotElement.classList.remove('drop-target');
+        });
+        
+        slotElement.addEventListener('drop', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            slotElement.classList.remove('drop-target');
+            
+            const sourceIndex = this.draggingIndex;
+            const source = this.items[sourceIndex];
+            const target = this.items[index];
+            const craftingManager = this.gameEngine.craftingManager;
+            
+            this.draggingIndex = null;
+            
+            if (!source) return;
+            
+            if (target && craftingManager && craftingManager.findInventoryRecipe(source.type, target.type)) {
+                craftingManager.combineItems(sourceIndex, index);
+            } else {
+                this.moveItem(sourceIndex, index);
+            }
+        });
+    }
+    
+    /**
+     * Refresh equipment slots and player stats
+     */
+    refreshEquipmentUI() {
+        const player = this.gameEngine.player;
+        
+        if (!player) return;
+        
+        if (this.equipmentSlots) {
+            this.equipmentSlots.innerHTML = '';
+            
+            Object.keys(player.equipment).forEach(slot => {
+                const item = player.equipment[slot];
+                const slotElement = this.env.document.createElement('div');
+                slotElement.className = 'equipment-slot';
+                slotElement.dataset.slot = slot;
+                
+                const labelElement = this.env.document.createElement('span');
+                labelElement.className = 'equipment-slot-label';
+                labelElement.textContent = slot;
+                slotElement.appendChild(labelElement);
+                
+                const itemElement = this.env.document.createElement('div');
+                
+                if (item) {
+                    const definition = this.registry.get(item.type);
+                    itemElement.className = `inventory-item ${item.type} rarity-${definition.rarity}`;
+                    itemElement.textContent = definition.icon;
+                    
+                    // Click to take the item off
+                    itemElement.addEventListener('click', () => {
+                        this.unequipItem(slot);
+                    });
+                    
+                    itemElement.addEventListener('mouseenter', () => {
+                        this.showTooltip({ ...item, quantity: 1 }, slotElement);
+                    });
+                    
+                    itemElement.addEventListener('mouseleave', () => {
+                        this.hideTooltip();
+                    });
+                } else {
+                    itemElement.className = 'inventory-item empty';
+                }
+                
+                slotElement.appendChild(itemElement);
+                this.equipmentSlots.appendChild(slotElement);
+            });
+        }
+        
+        if (this.playerStats) {
+            const stats = player.getStats();
+            
+            this.playerStats.innerHTML = `
+                <span>Damage ${stats.damage}</span>
+                <span>Defense ${stats.defense}</span>
+                <span>Speed ${stats.speed}</span>
+            `;
+        }
+    }
+    
+    /**
+     * Show the tooltip for an item next to its slot
+     */
+    showTooltip(item, itemElement) {
+        if (!this.tooltip) return;
+        
+        const definition = this.registry.get(item.type);
+        
+        this.tooltip.innerHTML = '';
+        this.tooltip.className = `item-tooltip rarity-${definition.rarity}`;
+        
+        const lines = [
+            ['item-tooltip-name', definition.name],
+            ['item-tooltip-rarity', definition.rarity],
+            ['item-tooltip-description', definition.description],
+            ['item-tooltip-meta', `Value ${item.value || 1} · Stack ${item.quantity}/${definition.stackLimit}`]
+        ];
+        
+        if (definition.slot) {
+            const bonuses = Object.entries(definition.stats || {}).map(([name, amount]) => `+${amount} ${name}`);
+            lines.push(['item-tooltip-meta', `${definition.slot}: ${bonuses.join(', ')}`]);
+        } else if (definition.effect || definition.consumable) {
+            lines.push(['item-tooltip-meta', definition.consumable ? 'Click to use (consumed)' : 'Click to use']);
+        }
+        
+        if (definition.targetEffect) {
+            lines.push(['item-tooltip-meta', 'Drag onto something to use it']);
+        }
+        
+        lines.forEach(([className, text]) => {
+            if (!text) return;
+            
+            const lineElement = this.env.document.createElement('div');
+            lineElement.className = className;
+            lineElement.textContent = text;
+            this.tooltip.appendChild(lineElement);
+        });
+        
+        // Place the tooltip beside the slot, inside the panel
+        this.tooltip.style.top = `${itemElement.offsetTop}px`;
+    }
+    
+    /**
+     * Hide the item tooltip
+     */
+    hideTooltip() {
+        if (this.tooltip) {
+            this.tooltip.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Get item count by type (across stacks)
      */
     getItemCount(type) {
-        return this.items.filter(item => item.type === type).length;
+        return this.items
+            .filter(item => item.type === type)
+            .reduce((total, item) => total + (item.quantity || 1), 0);
     }
     
     /**
@@ -311,7 +741,7 @@ class InventoryManager {
     getItemValue(type) {
         return this.items
             .filter(item => item.type === type)
-            .reduce((total, item) => total + (item.value || 1), 0);
+            .reduce((total, item) => total + (item.value || 1) * (item.quantity || 1), 0);
     }
     
     /**
@@ -335,7 +765,8 @@ class InventoryManager {
      */
     deserialize(data) {
         if (data && data.items) {
-            this.items = data.items;
+            // Valuable coins from older saves can add up to more than one stack
+            this.items = data.items.flatMap(item => this.toStacks(this.registry.normalize({ ...item, quantity: item.quantity || 1 })));
             this.refreshInventoryUI();
         }
     }
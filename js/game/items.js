@@ -0,0 +1,74 @@
+/**
+ * Item Registry
+ * Looks up item definitions and fills in defaults for item types without one.
+ */
+
+class ItemRegistry {
+    constructor(definitions) {
+        this.definitions = definitions || (typeof ITEM_DEFINITIONS !== 'undefined' ? ITEM_DEFINITIONS : {});
+        
+        // Used for any property a definition leaves out
+        this.defaults = {
+            icon: '▪',
+            description: '',
+            rarity: 'common',
+            stackLimit: 1,
+            consumable: true,
+            currency: false,
+            effect: null
+        };
+    }
+    
+    /**
+     * Get the full definition of an item type
+     */
+    get(type) {
+        const definition = this.definitions[type] || {};
+        
+        return {
+            ...this.defaults,
+            name: this.formatName(type),
+            ...definition,
+            type
+        };
+    }
+    
+    /**
+     * Check if an item type has a definition
+     */
+    has(type) {
+        return Boolean(this.definitions[type]);
+    }
+    
+    /**
+     * Get the stack limit of an item type
+     */
+    getStackLimit(type) {
+        return Math.max(1, this.get(type).stackLimit);
+    }
+    
+    /**
+     * Turn an item worth more than 1 of a currency into that many items worth 1,
+     * so currency is counted the same way everywhere (HUD, dialogs, recipes)
+     */
+    normalize(item) {
+        if (!this.get(item.type).currency || (item.value || 1) === 1) return item;
+        
+        return { ...item, quantity: (item.quantity || 1) * item.value, value: 1 };
+    }
+    
+    /**
+     * Check if two items can share a stack
+     */
+    canStack(a, b) {
+        return a.type === b.type && (a.value || 1) === (b.value || 1);
+    }
+    
+    /**
+     * Turn an item type ID into a display name (e.g. "old-map" -> "Old map")
+     */
+    formatName(type) {
+        const name = String(type).replace(/[-_]+/g, ' ');
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+}
@@ -8,7 +8,7 @@
  */
 class GameObject {
     constructor(x, y, width, height, type) {
-        this.id = Math.random().toString(36).substr(2, 9); // Unique ID
+        this.id = null; // Unique ID (assigned by manager when added to the world)
         this.x = x;
         this.y = y;
         this.width = width;
@@ -20,11 +20,13 @@ class GameObject {
         this.maxHealth = 1;
         this.solid = false;
         this.interactive = true;
+        this.draggable = true;
         this.visible = true;
         this.destroyed = false;
         
-        // DOM element (created by manager when added to the world)
+        // DOM element and environment (set by manager when added to the world)
         this.element = null;
+        this.env = null;
     }
     
     /**
@@ -46,17 +48,43 @@ class GameObject {
     }
     
     /**
-     * Handle click interaction
+     * Handle click interaction (damage is the clicking player's damage stat)
      */
-    onClick(event) {
+    onClick(event, damage = 1) {
         if (!this.interactive) return;
         
         console.log(`Clicked on ${this.type} object (ID: ${this.id})`);
         
         // Default click behavior is to take damage
         if (this.health > 0) {
-            this.takeDamage(1);
+            this.takeDamage(damage);
+        }
+    }
+    
+    /**
+     * Handle an inventory item being used on this object, returns true if it had an effect
+     */
+    onItemUsed(item, definition) {
+        if (!this.interactive) return false;
+        
+        // Tools with a damage effect work on anything breakable
+        const effect = definition.targetEffect;
+        
+        if (effect && effect.type === 'damage') {
+            this.takeDamage(effect.amount || 1);
+            return true;
         }
+        
+        return false;
+    }
+    
+    /**
+     * Distance between this object's edges and another rectangle's (0 when they overlap)
+     */
+    distanceTo(other) {
+        const dx = Math.max(other.x - (this.x + this.width), 0, this.x - (other.x + other.width));
+        const dy = Math.max(other.y - (this.y + this.height), 0, this.y - (other.y + other.height));
+        return Math.hypot(dx, dy);
     }
     
     /**
@@ -83,6 +111,19 @@ class GameObject {
         // Check if destroyed
         if (this.health <= 0) {
             this.destroy();
+            this.emit('object-destroyed', {
+                type: this.type,
+                objectId: this.id
+            });
+        }
+    }
+    
+    /**
+     * Dispatch a game event through the environment
+     */
+    emit(type, detail) {
+        if (this.env) {
+            this.env.emit(type, detail);
         }
     }
     
@@ -105,6 +146,11 @@ class GameObject {
         }
     }
     
+    /**
+     * Reflect state such as a door being locked in the DOM element (subclasses add their classes)
+     */
+    updateStateClasses() {}
+    
     /**
      * Destroy object
      */
@@ -152,6 +198,19 @@ class GameObject {
         };
     }
     
+    /**
+     * Describe object in the level definition format
+     */
+    toDefinition() {
+        return {
+            type: this.type,
+            x: Math.round(this.x),
+            y: Math.round(this.y),
+            width: Math.round(this.width),
+            height: Math.round(this.height)
+        };
+    }
+    
     /**
      * Deserialize from saved data
      */
@@ -211,6 +270,463 @@ class TreeObject extends GameObject {
     }
 }
 
+/**
+ * Door object (solid while closed, needs a key before it can be opened)
+ */
+class DoorObject extends GameObject {
+    constructor(x, y, width, height, keyId) {
+        super(x, y, width, height, 'door');
+        this.solid = true;
+        this.draggable = false;
+        this.locked = true;
+        this.open = false;
+        
+        // Key items must have this keyId to unlock the door (null for any key)
+        this.keyId = keyId || null;
+    }
+    
+    render(ctx) {
+        if (!this.visible) return;
+        
+        // Open doors only leave their frame behind
+        if (this.open) {
+            ctx.strokeStyle = '#8e5a2b';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 4]);
+            ctx.strokeRect(this.x, this.y, this.width, this.height);
+            ctx.setLineDash([]);
+            return;
+        }
+        
+        ctx.fillStyle = '#a0522d';
+        ctx.fillRect(this.x, this.y, this.width, this.height);
+        
+        ctx.strokeStyle = '#5d3317';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(this.x, this.y, this.width, this.height);
+        
+        // Locked doors show a gold lock, unlocked ones a handle
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+        const size = Math.max(2, Math.min(this.width, this.height) / 3);
+        
+        ctx.fillStyle = this.locked ? '#f1c40f' : '#5d3317';
+        
+        if (this.locked) {
+            ctx.fillRect(centerX - size / 2, centerY - size / 2, size, size);
+        } else {
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, size / 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+    
+    /**
+     * Check if a key item definition unlocks this door
+     */
+    acceptsKey(definition) {
+        return Boolean(definition.keyId) && (!this.keyId || definition.keyId === this.keyId);
+    }
+    
+    onClick(event) {
+        if (!this.interactive) return;
+        
+        if (this.locked) {
+            console.log(this.keyId ? `The door is locked (needs the ${this.keyId} key)` : 'The door is locked');
+            
+            if (this.element) {
+                this.element.classList.add('shake');
+                setTimeout(() => {
+                    this.element.classList.remove('shake');
+                }, 200);
+            }
+            return;
+        }
+        
+        this.setOpen(!this.open);
+    }
+    
+    onItemUsed(item, definition) {
+        if (!this.interactive || !this.locked || !this.acceptsKey(definition)) return false;
+        
+        this.unlock();
+        return true;
+    }
+    
+    /**
+     * Unlock the door (it stays closed until clicked)
+     */
+    unlock() {
+        if (!this.locked) return;
+        
+        this.locked = false;
+        console.log(`Door unlocked (ID: ${this.id})`);
+        
+        this.emit('door-unlocked', {
+            objectId: this.id,
+            keyId: this.keyId
+        });
+        
+        this.updateStateClasses();
+    }
+    
+    /**
+     * Open or close the door, open doors can be walked through
+     */
+    setOpen(open) {
+        if (this.locked && open) return;
+        
+        this.open = open;
+        this.solid = !open;
+        this.updateStateClasses();
+    }
+    
+    /**
+     * Reflect the door state in its DOM element
+     */
+    updateStateClasses() {
+        if (!this.element) return;
+        
+        this.element.classList.toggle('locked', this.locked);
+        this.element.classList.toggle('open', this.open);
+        this.element.classList.toggle('solid', this.solid);
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            locked: this.locked,
+            open: this.open,
+            keyId: this.keyId
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.solid = !this.open;
+        this.updateStateClasses();
+    }
+    
+    toDefinition() {
+        const definition = {
+            ...super.toDefinition(),
+            locked: this.locked
+        };
+        
+        if (this.keyId) {
+            definition.keyId = this.keyId;
+        }
+        
+        return definition;
+    }
+}
+
+/**
+ * Enemy object (hostile creature driven by a small state machine: idle, patrol, chase, attack)
+ */
+class EnemyObject extends GameObject {
+    constructor(x, y, enemyType) {
+        const definition = EnemyObject.getDefinition(enemyType);
+        super(x, y, definition.width, definition.height, 'enemy');
+        this.enemyType = enemyType || 'slime';
+        this.definition = definition;
+        this.name = definition.name;
+        this.solid = false;
+        this.draggable = false;
+        this.health = definition.health;
+        this.maxHealth = definition.health;
+        
+        // Patrols stay around the spawn point
+        this.homeX = x;
+        this.homeY = y;
+        
+        // AI state
+        this.state = 'idle';
+        this.stateTime = 0; // seconds in the current state
+        this.patrolTarget = null;
+        this.attackTimer = 0; // seconds until the next attack
+    }
+    
+    /**
+     * Find the definition of an enemy type, falling back to defaults
+     */
+    static getDefinition(enemyType) {
+        const definitions = typeof ENEMY_DEFINITIONS !== 'undefined' ? ENEMY_DEFINITIONS : {};
+        
+        return {
+            name: 'Enemy',
+            color: '#c0392b',
+            width: 28,
+            height: 28,
+            health: 3,
+            speed: 60,
+            damage: 5,
+            attackRange: 4,
+            attackCooldown: 1,
+            sightRange: 150,
+            patrolRadius: 80,
+            experience: 10,
+            loot: [],
+            ...(definitions[enemyType] || {})
+        };
+    }
+    
+    /**
+     * Run the state machine for one step, moving with the collision resolver
+     */
+    updateAI(deltaTime, player, collision, random) {
+        if (this.destroyed) return;
+        
+        this.stateTime += deltaTime;
+        this.attackTimer = Math.max(0, this.attackTimer - deltaTime);
+        
+        const playerAlive = player && player.health > 0;
+        const distance = playerAlive ? this.distanceTo(player) : Infinity;
+        const definition = this.definition;
+        
+        switch (this.state) {
+            case 'idle':
+                if (distance <= definition.sightRange) {
+                    this.setState('chase');
+                } else if (this.stateTime >= 1.5) {
+                    this.patrolTarget = {
+                        x: this.homeX + random.range(-definition.patrolRadius, definition.patrolRadius),
+                        y: this.homeY + random.range(-definition.patrolRadius, definition.patrolRadius)
+                    };
+                    this.setState('patrol');
+                }
+                break;
+                
+            case 'patrol': {
+                if (distance <= definition.sightRange) {
+                    this.setState('chase');
+                    break;
+                }
+                
+                const blocked = this.moveToward(this.patrolTarget.x, this.patrolTarget.y, definition.speed * 0.5 * deltaTime, collision);
+                const arrived = Math.abs(this.x - this.patrolTarget.x) < 2 && Math.abs(this.y - this.patrolTarget.y) < 2;
+                
+                if (arrived || blocked || this.stateTime >= 4) {
+                    this.setState('idle');
+                }
+                break;
+            }
+            
+            case 'chase':
+                // Give up once the player gets well out of sight
+                if (distance > definition.sightRange * 1.5) {
+                    this.setState('idle');
+                } else if (distance <= definition.attackRange) {
+                    this.setState('attack');
+                } else {
+                    this.moveToward(
+                        player.x + (player.width - this.width) / 2,
+                        player.y + (player.height - this.height) / 2,
+                        definition.speed * deltaTime,
+                        collision
+                    );
+                }
+                break;
+                
+            case 'attack':
+                if (distance > definition.attackRange) {
+                    this.setState(playerAlive ? 'chase' : 'idle');
+                } else if (this.attackTimer <= 0) {
+                    this.attack(player);
+                }
+                break;
+        }
+        
+        // Keep within bounds
+        this.x = Math.max(0, Math.min(this.env.viewport.width - this.width, this.x));
+        this.y = Math.max(0, Math.min(this.env.viewport.height - this.height, this.y));
+        
+        if (this.element) {
+            this.element.style.left = `${this.x}px`;
+            this.element.style.top = `${this.y}px`;
+        }
+    }
+    
+    /**
+     * Switch to another AI state
+     */
+    setState(state) {
+        this.state = state;
+        this.stateTime = 0;
+        
+        if (this.element) {
+            this.element.dataset.state = state;
+        }
+    }
+    
+    /**
+     * Move toward a point, returns true if a wall got in the way
+     */
+    moveToward(targetX, targetY, maxDistance, collision) {
+        const dx = targetX - this.x;
+        const dy = targetY - this.y;
+        const length = Math.hypot(dx, dy);
+        
+        if (length === 0) return false;
+        
+        const step = Math.min(maxDistance, length);
+        const moveX = dx / length * step;
+        const moveY = dy / length * step;
+        
+        if (!collision) {
+            this.x += moveX;
+            this.y += moveY;
+            return false;
+        }
+        
+        const { blockedX, blockedY } = collision.move(this, moveX, moveY);
+        return blockedX || blockedY;
+    }
+    
+    /**
+     * Hit the player
+     */
+    attack(player) {
+        this.attackTimer = this.definition.attackCooldown;
+        
+        console.log(`${this.name} attacks!`);
+        player.takeDamage(this.definition.damage);
+        
+        this.emit('player-attacked', {
+            enemyType: this.enemyType,
+            objectId: this.id,
+            damage: this.definition.damage
+        });
+    }
+    
+    takeDamage(amount) {
+        if (!this.interactive) return;
+        
+        super.takeDamage(amount);
+        
+        if (this.destroyed) {
+            this.emit('enemy-defeated', { enemy: this });
+        } else if (this.state === 'idle' || this.state === 'patrol') {
+            // Being hit draws the enemy's attention
+            this.setState('chase');
+        }
+    }
+    
+    onClick(event) {
+        if (!this.interactive) return;
+        
+        // The combat manager decides if the player is close enough to hit
+        this.emit('enemy-clicked', { enemy: this });
+    }
+    
+    render(ctx) {
+        if (!this.visible) return;
+        
+        const centerX = this.x + this.width / 2;
+        
+        // Body
+        ctx.fillStyle = this.definition.color;
+        ctx.beginPath();
+        ctx.ellipse(centerX, this.y + this.height / 2, this.width / 2, this.height / 2, 0, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Eyes turn red while hunting the player
+        const hunting = this.state === 'chase' || this.state === 'attack';
+        ctx.fillStyle = hunting ? '#e74c3c' : '#fff';
+        ctx.fillRect(centerX - this.width / 5 - 2, this.y + this.height / 3, 4, 4);
+        ctx.fillRect(centerX + this.width / 5 - 2, this.y + this.height / 3, 4, 4);
+        
+        // Health bar once damaged
+        if (this.health < this.maxHealth) {
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+            ctx.fillRect(this.x, this.y - 6, this.width, 3);
+            ctx.fillStyle = '#e74c3c';
+            ctx.fillRect(this.x, this.y - 6, this.width * this.health / this.maxHealth, 3);
+        }
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            enemyType: this.enemyType,
+            homeX: this.homeX,
+            homeY: this.homeY
+        };
+    }
+    
+    toDefinition() {
+        return {
+            ...super.toDefinition(),
+            enemyType: this.enemyType
+        };
+    }
+}
+
+/**
+ * Checkpoint object (walking onto it makes it the player's respawn point)
+ */
+class CheckpointObject extends GameObject {
+    constructor(x, y) {
+        super(x, y, 30, 40, 'checkpoint');
+        this.solid = false;
+        this.draggable = false;
+        this.active = false;
+    }
+    
+    render(ctx) {
+        if (!this.visible) return;
+        
+        // Pole
+        ctx.fillStyle = '#7f8c8d';
+        ctx.fillRect(this.x + 4, this.y, 3, this.height);
+        
+        // Flag, green once it is the respawn point
+        ctx.fillStyle = this.active ? '#2ecc71' : '#bdc3c7';
+        ctx.beginPath();
+        ctx.moveTo(this.x + 7, this.y + 2);
+        ctx.lineTo(this.x + this.width, this.y + 10);
+        ctx.lineTo(this.x + 7, this.y + 18);
+        ctx.closePath();
+        ctx.fill();
+        
+        // Base
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.2)';
+        ctx.fillRect(this.x, this.y + this.height - 4, this.width, 4);
+    }
+    
+    onClick(event) {
+        if (!this.interactive) return;
+        
+        console.log(this.active ? 'This checkpoint is your respawn point' : 'Walk onto the checkpoint to activate it');
+    }
+    
+    onItemUsed(item, definition) {
+        // Checkpoints can't be broken
+        return false;
+    }
+    
+    /**
+     * Mark the checkpoint as the respawn point (or not)
+     */
+    setActive(active) {
+        this.active = active;
+        this.updateStateClasses();
+    }
+    
+    updateStateClasses() {
+        if (!this.element) return;
+        
+        this.element.classList.toggle('active', this.active);
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            active: this.active
+        };
+    }
+}
+
 /**
  * Collectible object (item that can be picked up)
  */
@@ -221,6 +737,9 @@ class CollectibleObject extends GameObject {
         this.itemType = itemType || 'coin';
         this.solid = false;
         this.value = 1;
+        
+        // Dropped from the inventory, so picking it up again doesn't count toward quests
+        this.dropped = false;
     }
     
     render(ctx) {
@@ -248,19 +767,33 @@ class CollectibleObject extends GameObject {
         console.log(`Collected ${this.itemType} (value: ${this.value})`);
         
         // Add to inventory (this will be called by the inventory manager)
-        const inventoryEvent = new CustomEvent('collect-item', {
-            detail: {
-                type: this.itemType,
-                value: this.value,
-                objectId: this.id
-            }
+        this.emit('collect-item', {
+            type: this.itemType,
+            value: this.value,
+            dropped: this.dropped,
+            objectId: this.id
         });
         
-        document.dispatchEvent(inventoryEvent);
-        
         // Destroy the object
         this.destroy();
     }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            itemType: this.itemType,
+            value: this.value,
+            dropped: this.dropped
+        };
+    }
+    
+    toDefinition() {
+        return {
+            ...super.toDefinition(),
+            itemType: this.itemType,
+            value: this.value
+        };
+    }
 }
 
 /**
@@ -272,25 +805,17 @@ class NPCObject extends GameObject {
         super(x, y, size, size, 'npc');
         this.name = name || 'Unknown NPC';
         this.solid = false;
-        this.dialogues = [
-            { text: "Hello there! I'm an NPC.", options: [
-                { text: "Hello!", responseIndex: 1 },
-                { text: "What can you do?", responseIndex: 2 },
-                { text: "Goodbye.", responseIndex: -1 }
-            ]},
-            { text: "Nice to meet you!", options: [
-                { text: "What can you do?", responseIndex: 2 },
-                { text: "Goodbye.", responseIndex: -1 }
-            ]},
-            { text: "I can give quests or just chat with you!", options: [
-                { text: "Interesting!", responseIndex: 3 },
-                { text: "Goodbye.", responseIndex: -1 }
-            ]},
-            { text: "Remember, you can interact with anything in this world!", options: [
-                { text: "I'll try that out. Goodbye!", responseIndex: -1 }
-            ]}
-        ];
-        this.currentDialogIndex = 0;
+        
+        // Stable identity across saves and levels (object IDs are only unique per world)
+        this.npcId = NPCObject.createNpcId(this.name);
+        
+        // Dialog tree for this NPC's name (see DIALOG_DEFINITIONS)
+        this.dialogTree = NPCObject.getDialogTree(this.name);
+        this.currentNodeId = this.dialogTree.start;
+        
+        // Memory of the player: conversations and gifts received by item type
+        this.talkCount = 0;
+        this.gifts = {};
     }
     
     render(ctx) {
@@ -317,26 +842,91 @@ class NPCObject extends GameObject {
         
         console.log(`Talking to NPC: ${this.name}`);
         
+        this.talkCount++;
+        
         // Trigger dialog event
-        const dialogEvent = new CustomEvent('show-dialog', {
-            detail: {
-                npc: this,
-                dialogIndex: this.currentDialogIndex
-            }
+        this.emit('show-dialog', {
+            npc: this,
+            nodeId: this.currentNodeId
         });
-        
-        document.dispatchEvent(dialogEvent);
     }
     
-    getDialog(index) {
-        if (index >= 0 && index < this.dialogues.length) {
-            return this.dialogues[index];
+    onItemUsed(item, definition) {
+        // NPCs can't be hit with tools, items are given to them as gifts instead
+        return false;
+    }
+    
+    getDialog(nodeId) {
+        return this.dialogTree.nodes[nodeId] || null;
+    }
+    
+    setCurrentDialog(nodeId) {
+        this.currentNodeId = nodeId;
+    }
+    
+    /**
+     * Remember an item given by the player
+     */
+    receiveGift(itemType, amount = 1) {
+        this.gifts[itemType] = (this.gifts[itemType] || 0) + amount;
+        console.log(`${this.name} received ${itemType} (total: ${this.gifts[itemType]})`);
+    }
+    
+    /**
+     * Count how many items of a type the player has given
+     */
+    getGiftCount(itemType) {
+        return this.gifts[itemType] || 0;
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            name: this.name,
+            npcId: this.npcId,
+            currentNodeId: this.currentNodeId,
+            talkCount: this.talkCount,
+            gifts: { ...this.gifts }
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.gifts = { ...(data.gifts || {}) };
+        
+        // Start over if the saved node was removed from the dialog tree
+        if (!this.getDialog(this.currentNodeId)) {
+            this.currentNodeId = this.dialogTree.start;
         }
-        return null;
     }
     
-    setCurrentDialog(index) {
-        this.currentDialogIndex = index;
+    /**
+     * Find the dialog tree for an NPC name, falling back to the default tree
+     */
+    static getDialogTree(name) {
+        const trees = typeof DIALOG_DEFINITIONS !== 'undefined' ? DIALOG_DEFINITIONS : {};
+        
+        return trees[name] || trees.default || {
+            start: 'greeting',
+            nodes: {
+                greeting: { text: `Hello, I'm ${name}.`, options: [] }
+            }
+        };
+    }
+    
+    toDefinition() {
+        return {
+            ...super.toDefinition(),
+            name: this.name,
+            npcId: this.npcId
+        };
+    }
+    
+    /**
+     * Derive an NPC ID from a name (e.g. "Old Sage" -> "old-sage")
+     */
+    static createNpcId(name) {
+        return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'npc';
     }
 }
 
@@ -345,9 +935,17 @@ class NPCObject extends GameObject {
  * Handles creation, updating, and rendering of all game objects
  */
 class GameObjectManager {
-    constructor() {
+    constructor(env, random) {
+        this.env = env || GameEnvironment.browser();
+        this.random = random || new SeededRandom();
         this.objects = [];
-        this.container = document.getElementById('game-container');
+        this.container = this.env.getElementById('game-container');
+        
+        // Player whose stats decide click damage (set by the engine)
+        this.player = null;
+        
+        // Dialog manager, NPCs aren't talked to again while a conversation is open (set by the engine)
+        this.dialogManager = null;
     }
     
     /**
@@ -365,14 +963,31 @@ class GameObjectManager {
         this.objects = this.objects.filter(obj => !obj.destroyed);
     }
     
+    /**
+     * Remember object positions before a simulation step
+     */
+    savePreviousPositions() {
+        this.objects.forEach(obj => {
+            obj.prevX = obj.x;
+            obj.prevY = obj.y;
+        });
+    }
+    
     /**
      * Render all objects
      */
-    render(ctx) {
+    render(ctx, alpha = 1) {
         // Render all visible objects
         this.objects.forEach(obj => {
             if (obj.visible && !obj.destroyed) {
+                // Objects that haven't been stepped yet are drawn where they are
+                const offsetX = obj.prevX === undefined ? 0 : (obj.prevX - obj.x) * (1 - alpha);
+                const offsetY = obj.prevY === undefined ? 0 : (obj.prevY - obj.y) * (1 - alpha);
+                
+                ctx.save();
+                ctx.translate(offsetX, offsetY);
                 obj.render(ctx);
+                ctx.restore();
             }
         });
     }
@@ -381,6 +996,12 @@ class GameObjectManager {
      * Add a new object to the world
      */
     addObject(object) {
+        // Loaded objects keep their saved ID
+        if (!object.id) {
+            object.id = this.random.id();
+        }
+        
+        object.env = this.env;
         this.objects.push(object);
         
         // Create DOM element for the object
@@ -397,7 +1018,7 @@ class GameObjectManager {
         if (object.element || !this.container) return;
         
         // Create element
-        const element = document.createElement('div');
+        const element = this.env.document.createElement('div');
         element.className = `game-object ${object.type}`;
         element.dataset.id = object.id;
         
@@ -430,16 +1051,50 @@ class GameObjectManager {
         
         // Add click handler
         element.addEventListener('click', (event) => {
-            object.onClick(event);
+            this.clickObject(object, event);
         });
         
         // Store reference to element
         object.element = element;
+        object.updateStateClasses();
         
         // Add to container
         this.container.appendChild(element);
     }
     
+    /**
+     * Move an object's DOM element to match its position and size
+     */
+    updateObjectElement(object) {
+        // Skip interpolating from where the object was before it was moved
+        object.prevX = object.x;
+        object.prevY = object.y;
+        
+        if (!object.element) return;
+        
+        object.element.style.left = `${object.x}px`;
+        object.element.style.top = `${object.y}px`;
+        object.element.style.width = `${object.width}px`;
+        object.element.style.height = `${object.height}px`;
+    }
+    
+    /**
+     * Remove a single object from the world
+     */
+    removeObject(object) {
+        object.destroy();
+        this.objects = this.objects.filter(obj => obj !== object);
+    }
+    
+    /**
+     * Click an object with the player's damage (both canvas and element clicks come through here)
+     */
+    clickObject(object, event) {
+        if (object instanceof NPCObject && this.dialogManager && this.dialogManager.isDialogActive()) return;
+        
+        object.onClick(event, this.player ? this.player.getStat('damage') : 1);
+    }
+    
     /**
      * Find object by ID
      */
@@ -458,45 +1113,153 @@ class GameObjectManager {
         });
     }
     
+    /**
+     * Find solid objects overlapping an area
+     */
+    getSolidObjectsIn(x, y, width, height, ignore = null) {
+        return this.objects.filter(obj => {
+            return obj !== ignore &&
+                   obj.solid && !obj.destroyed &&
+                   x < obj.x + obj.width && x + width > obj.x &&
+                   y < obj.y + obj.height && y + height > obj.y;
+        });
+    }
+    
+    /**
+     * Create an object from a level definition
+     * (positions and sizes in pixels, or in grid cells via "grid" and "size")
+     */
+    createObject(definition, gridSize = 50) {
+        const position = definition.grid ?
+            { x: definition.grid[0] * gridSize, y: definition.grid[1] * gridSize } :
+            { x: definition.x || 0, y: definition.y || 0 };
+        const size = definition.size ?
+            { width: definition.size[0] * gridSize, height: definition.size[1] * gridSize } :
+            { width: definition.width || gridSize, height: definition.height || gridSize };
+            
+        let object;
+        
+        switch (definition.type) {
+            case 'wall':
+                object = new WallObject(position.x, position.y, size.width, size.height);
+                break;
+                
+            case 'tree':
+                object = new TreeObject(position.x, position.y);
+                break;
+                
+            case 'collectible':
+                object = new CollectibleObject(position.x, position.y, definition.itemType);
+                
+                if (typeof definition.value === 'number') {
+                    object.value = definition.value;
+                }
+                break;
+                
+            case 'npc':
+                object = new NPCObject(position.x, position.y, definition.name);
+                
+                if (definition.npcId) {
+                    object.npcId = definition.npcId;
+                }
+                break;
+                
+            case 'enemy':
+                object = new EnemyObject(position.x, position.y, definition.enemyType);
+                break;
+                
+            case 'checkpoint':
+                object = new CheckpointObject(position.x, position.y);
+                break;
+                
+            case 'door':
+                object = new DoorObject(position.x, position.y, size.width, size.height, definition.keyId);
+                
+                // Doors are locked unless the level says otherwise
+                if (definition.locked === false) {
+                    object.locked = false;
+                }
+                break;
+                
+            default:
+                console.warn(`Unknown object type in level: ${definition.type}`);
+                return null;
+        }
+        
+        // Explicit sizes also apply to objects that have a default size
+        if (definition.size || definition.width || definition.height) {
+            object.width = size.width;
+            object.height = size.height;
+        }
+        
+        // Optional health override
+        if (typeof definition.health === 'number') {
+            object.health = definition.health;
+            object.maxHealth = definition.health;
+        }
+        
+        return object;
+    }
+    
+    /**
+     * Add the objects declared by a level, then run its generator rules
+     */
+    loadLevel(level, gridSize = 50) {
+        (level.objects || []).forEach(definition => {
+            const object = this.createObject(definition, gridSize);
+            
+            if (object) {
+                this.addObject(object);
+            }
+        });
+        
+        (level.generators || []).forEach(generator => {
+            switch (generator.type) {
+                case 'random':
+                    this.spawnRandomObjects(generator.count, generator);
+                    break;
+                    
+                default:
+                    console.warn(`Unknown level generator: ${generator.type}`);
+            }
+        });
+    }
+    
     /**
      * Spawn random objects around the world
      */
-    spawnRandomObjects(count = 10) {
-        const objectTypes = ['wall', 'tree', 'collectible', 'npc'];
-        const npcNames = ['Guide', 'Trader', 'Explorer', 'Wizard', 'Blacksmith'];
+    spawnRandomObjects(count = 10, options = {}) {
+        const objectTypes = options.objects || ['wall', 'tree', 'collectible', 'npc'];
+        const npcNames = options.npcNames || ['Guide', 'Trader', 'Explorer', 'Wizard', 'Blacksmith'];
+        const itemTypes = options.itemTypes || ['coin'];
         
         for (let i = 0; i < count; i++) {
-            const type = objectTypes[Math.floor(Math.random() * objectTypes.length)];
-            const x = Math.random() * (window.innerWidth - 50);
-            const y = Math.random() * (window.innerHeight - 50);
-            
-            let object;
+            const definition = {
+                type: this.random.pick(objectTypes),
+                x: this.random.range(0, this.env.viewport.width - 50),
+                y: this.random.range(0, this.env.viewport.height - 50)
+            };
             
-            switch (type) {
+            switch (definition.type) {
                 case 'wall':
-                    const width = 30 + Math.random() * 70;
-                    const height = 30 + Math.random() * 70;
-                    object = new WallObject(x, y, width, height);
-                    break;
-                    
-                case 'tree':
-                    object = new TreeObject(x, y);
+                    definition.width = this.random.range(30, 100);
+                    definition.height = this.random.range(30, 100);
                     break;
                     
                 case 'collectible':
-                    object = new CollectibleObject(x, y, 'coin');
+                    definition.itemType = this.random.pick(itemTypes);
                     break;
                     
                 case 'npc':
-                    const name = npcNames[Math.floor(Math.random() * npcNames.length)];
-                    object = new NPCObject(x, y, name);
+                    definition.name = this.random.pick(npcNames);
                     break;
-                    
-                default:
-                    object = new GameObject(x, y, 30, 30, type);
             }
             
-            this.addObject(object);
+            const object = this.createObject(definition);
+            
+            if (object) {
+                this.addObject(object);
+            }
         }
     }
     
@@ -557,6 +1320,18 @@ class GameObjectManager {
                     object = new NPCObject(objData.x, objData.y, objData.name);
                     break;
                     
+                case 'EnemyObject':
+                    object = new EnemyObject(objData.x, objData.y, objData.enemyType);
+                    break;
+                    
+                case 'CheckpointObject':
+                    object = new CheckpointObject(objData.x, objData.y);
+                    break;
+                    
+                case 'DoorObject':
+                    object = new DoorObject(objData.x, objData.y, objData.width, objData.height, objData.keyId);
+                    break;
+                    
                 default:
                     object = new GameObject(objData.x, objData.y, objData.width, objData.height, objData.type);
             }
@@ -4,7 +4,10 @@
  */
 
 class Player {
-    constructor(x, y) {
+    constructor(x, y, env, itemRegistry) {
+        this.env = env || GameEnvironment.browser();
+        this.itemRegistry = itemRegistry || new ItemRegistry();
+        
         // Position
         this.x = x || 100;
         this.y = y || 100;
@@ -16,15 +19,51 @@ class Player {
         this.moveX = 0;
         this.moveY = 0;
         
+        // Position at the previous simulation step (for render interpolation)
+        this.prevX = this.x;
+        this.prevY = this.y;
+        
         // Player state
         this.health = 100;
         this.maxHealth = 100;
         this.level = 1;
         this.experience = 0;
         this.nextLevelXP = 100;
+        this.isDead = false;
+        
+        // Points earned on level-up, attribute levels and skill ranks by ID
+        this.attributePoints = 0;
+        this.skillPoints = 0;
+        this.attributes = {
+            strength: 0,
+            agility: 0,
+            vitality: 0
+        };
+        this.skills = {};
+        
+        // Dash (from the dash skill)
+        this.dashDuration = 0.15; // seconds
+        this.dashCooldown = 1; // seconds between dashes
+        this.dashSpeedMultiplier = 3;
+        this.dashTimer = 0;
+        this.dashCooldownTimer = 0;
+        
+        // Stats before equipment bonuses
+        this.baseStats = {
+            damage: 1, // damage dealt per click
+            defense: 0, // damage blocked per hit
+            speed: this.speed
+        };
+        
+        // Equipped items by slot
+        this.equipment = {
+            weapon: null,
+            armor: null,
+            accessory: null
+        };
         
         // DOM element
-        this.element = document.getElementById('player');
+        this.element = this.env.getElementById('player');
         if (this.element) {
             this.updateElementPosition();
         }
@@ -37,19 +76,22 @@ class Player {
             right: false
         };
         
+        // Movement input can be turned off, e.g. while a dialog is open
+        this.inputEnabled = true;
+        
         // Bind methods
         this.handleKeyDown = this.handleKeyDown.bind(this);
         this.handleKeyUp = this.handleKeyUp.bind(this);
         
         // Set up event listeners
-        document.addEventListener('keydown', this.handleKeyDown);
-        document.addEventListener('keyup', this.handleKeyUp);
+        this.env.listen('keydown', this.handleKeyDown);
+        this.env.listen('keyup', this.handleKeyUp);
     }
     
     /**
      * Update player state
      */
-    update(deltaTime) {
+    update(deltaTime, collision) {
         // Reset movement vector
         this.moveX = 0;
         this.moveY = 0;
@@ -67,22 +109,46 @@ class Player {
             this.moveY /= length;
         }
         
-        // Apply movement
-        this.x += this.moveX * this.speed * deltaTime;
-        this.y += this.moveY * this.speed * deltaTime;
+        // Dashing multiplies speed for a moment
+        this.dashTimer = Math.max(0, this.dashTimer - deltaTime);
+        this.dashCooldownTimer = Math.max(0, this.dashCooldownTimer - deltaTime);
+        
+        // Apply movement, sliding along solid cells and objects
+        const speed = this.getStat('speed') * (this.dashTimer > 0 ? this.dashSpeedMultiplier : 1);
+        const dx = this.moveX * speed * deltaTime;
+        const dy = this.moveY * speed * deltaTime;
+        
+        if (collision) {
+            collision.move(this, dx, dy);
+        } else {
+            this.x += dx;
+            this.y += dy;
+        }
         
         // Keep player within bounds
-        this.x = Math.max(0, Math.min(window.innerWidth - this.width, this.x));
-        this.y = Math.max(0, Math.min(window.innerHeight - this.height, this.y));
+        this.x = Math.max(0, Math.min(this.env.viewport.width - this.width, this.x));
+        this.y = Math.max(0, Math.min(this.env.viewport.height - this.height, this.y));
         
         // Update DOM element position
         this.updateElementPosition();
     }
     
+    /**
+     * Remember the current position before a simulation step
+     */
+    savePreviousPosition() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+    
     /**
      * Render player
      */
-    render(ctx) {
+    render(ctx, alpha = 1) {
+        // Draw at the position interpolated between the last two steps
+        ctx.save();
+        ctx.translate((this.prevX - this.x) * (1 - alpha), (this.prevY - this.y) * (1 - alpha));
+        
         // Draw player shadow
         ctx.fillStyle = 'rgba(0, 0, 0, 0.2)';
         ctx.beginPath();
@@ -103,6 +169,8 @@ class Player {
         ctx.fillStyle = '#e74c3c';
         ctx.fill();
         ctx.restore();
+        
+        ctx.restore();
     }
     
     /**
@@ -119,6 +187,8 @@ class Player {
      * Handle keydown events
      */
     handleKeyDown(event) {
+        if (!this.inputEnabled) return;
+        
         switch (event.key.toLowerCase()) {
             case 'w':
             case 'arrowup':
@@ -136,6 +206,38 @@ class Player {
             case 'arrowright':
                 this.keys.right = true;
                 break;
+            case 'shift':
+                this.dash();
+                break;
+        }
+    }
+    
+    /**
+     * Dash in the current movement direction (needs the dash skill)
+     */
+    dash() {
+        if (this.getSkillBonus('dashes') <= 0 || this.dashCooldownTimer > 0) return false;
+        
+        // Dashing needs a direction
+        if (!this.keys.up && !this.keys.down && !this.keys.left && !this.keys.right) return false;
+        
+        this.dashTimer = this.dashDuration;
+        this.dashCooldownTimer = this.dashCooldown;
+        return true;
+    }
+    
+    /**
+     * Enable or disable movement input (disabling also stops current movement)
+     */
+    setInputEnabled(enabled) {
+        // Nothing gives a dead player control back except respawning
+        this.inputEnabled = enabled && !this.isDead;
+        
+        if (!enabled) {
+            this.keys.up = false;
+            this.keys.down = false;
+            this.keys.left = false;
+            this.keys.right = false;
         }
     }
     
@@ -199,6 +301,11 @@ class Player {
         this.maxHealth += 10;
         this.health = this.maxHealth;
         
+        // Points to spend in the skill tree
+        const points = typeof LEVEL_UP_POINTS !== 'undefined' ? LEVEL_UP_POINTS : { attributePoints: 0, skillPoints: 0 };
+        this.attributePoints += points.attributePoints;
+        this.skillPoints += points.skillPoints;
+        
         console.log(`Level up! Now level ${this.level}`);
         
         // Flash player element for visual feedback
@@ -214,6 +321,10 @@ class Player {
      * Take damage
      */
     takeDamage(amount) {
+        if (this.isDead) return;
+        
+        // Armor blocks part of each hit, but a hit always does at least 1 damage
+        amount = Math.max(1, amount - this.getStat('defense'));
         this.health = Math.max(0, this.health - amount);
         
         // Flash player element for visual feedback
@@ -228,19 +339,208 @@ class Player {
         
         // Check if player died
         if (this.health <= 0) {
-            console.log('Player died!');
-            // Handle player death
+            this.die();
         }
     }
     
+    /**
+     * Stop all input and announce the death (the respawn manager takes it from here)
+     */
+    die() {
+        if (this.isDead) return;
+        
+        this.isDead = true;
+        this.setInputEnabled(false);
+        
+        console.log('Player died!');
+        
+        if (this.element) {
+            this.element.classList.add('dead');
+        }
+        
+        this.env.emit('player-died', {
+            x: this.x,
+            y: this.y,
+            level: this.level
+        });
+    }
+    
+    /**
+     * Come back to life at a position with full health
+     */
+    respawn(x, y) {
+        this.isDead = false;
+        this.health = this.maxHealth;
+        this.x = x;
+        this.y = y;
+        this.savePreviousPosition();
+        this.updateElementPosition();
+        this.setInputEnabled(true);
+        
+        if (this.element) {
+            this.element.classList.remove('dead');
+        }
+        
+        console.log('Player respawned');
+    }
+    
     /**
      * Heal player
      */
     heal(amount) {
+        if (this.isDead) return;
+        
         this.health = Math.min(this.maxHealth, this.health + amount);
         console.log(`Healed ${amount}. Health: ${this.health}/${this.maxHealth}`);
     }
     
+    /**
+     * Get a stat including attribute and equipment bonuses
+     */
+    getStat(name) {
+        const attributes = Player.getAttributeDefinitions();
+        
+        const attributeBonus = Object.keys(this.attributes).reduce((total, attribute) => {
+            const stats = attributes[attribute] ? attributes[attribute].stats || {} : {};
+            return total + (stats[name] || 0) * this.attributes[attribute];
+        }, 0);
+        
+        return Object.values(this.equipment).reduce((total, item) => {
+            if (!item) return total;
+            
+            const stats = this.itemRegistry.get(item.type).stats || {};
+            return total + (stats[name] || 0);
+        }, (this.baseStats[name] || 0) + attributeBonus);
+    }
+    
+    /**
+     * Spend an attribute point, returns false if there is none or the attribute doesn't exist
+     */
+    spendAttributePoint(attribute) {
+        const definition = Player.getAttributeDefinitions()[attribute];
+        
+        if (!definition || this.attributePoints <= 0) return false;
+        
+        this.attributePoints--;
+        this.attributes[attribute] = (this.attributes[attribute] || 0) + 1;
+        
+        // Vitality raises maximum health right away
+        if (definition.maxHealth) {
+            this.maxHealth += definition.maxHealth;
+            this.health += definition.maxHealth;
+        }
+        
+        console.log(`${definition.name} is now ${this.attributes[attribute]}`);
+        return true;
+    }
+    
+    /**
+     * Get the rank of a skill (0 if not learned)
+     */
+    getSkillRank(skillId) {
+        return this.skills[skillId] || 0;
+    }
+    
+    /**
+     * Check if the next rank of a skill can be learned
+     */
+    canLearnSkill(skillId) {
+        const definition = Player.getSkillDefinitions()[skillId];
+        
+        if (!definition) return false;
+        
+        return this.skillPoints >= (definition.cost || 1) &&
+               this.getSkillRank(skillId) < (definition.maxRank || 1) &&
+               this.level >= (definition.level || 1) &&
+               (definition.requires || []).every(required => this.getSkillRank(required) > 0);
+    }
+    
+    /**
+     * Learn the next rank of a skill, returns false if it can't be learned
+     */
+    learnSkill(skillId) {
+        if (!this.canLearnSkill(skillId)) return false;
+        
+        const definition = Player.getSkillDefinitions()[skillId];
+        
+        this.skillPoints -= definition.cost || 1;
+        this.skills[skillId] = this.getSkillRank(skillId) + 1;
+        
+        console.log(`Learned ${definition.name} (rank ${this.skills[skillId]})`);
+        return true;
+    }
+    
+    /**
+     * Sum a bonus over all learned skill ranks (e.g. "magnetRadius")
+     */
+    getSkillBonus(name) {
+        const definitions = Player.getSkillDefinitions();
+        
+        return Object.keys(this.skills).reduce((total, skillId) => {
+            const bonuses = definitions[skillId] ? definitions[skillId].bonuses || {} : {};
+            return total + (bonuses[name] || 0) * this.skills[skillId];
+        }, 0);
+    }
+    
+    /**
+     * Get the attribute definitions (see ATTRIBUTE_DEFINITIONS)
+     */
+    static getAttributeDefinitions() {
+        return typeof ATTRIBUTE_DEFINITIONS !== 'undefined' ? ATTRIBUTE_DEFINITIONS : {};
+    }
+    
+    /**
+     * Get the skill definitions (see SKILL_DEFINITIONS)
+     */
+    static getSkillDefinitions() {
+        return typeof SKILL_DEFINITIONS !== 'undefined' ? SKILL_DEFINITIONS : {};
+    }
+    
+    /**
+     * Get all stats including equipment bonuses
+     */
+    getStats() {
+        const stats = {};
+        
+        Object.keys(this.baseStats).forEach(name => {
+            stats[name] = this.getStat(name);
+        });
+        
+        return stats;
+    }
+    
+    /**
+     * Put an item in its equipment slot, returns the item it replaced (if any)
+     */
+    equip(item) {
+        const slot = this.itemRegistry.get(item.type).slot;
+        
+        if (!this.equipment.hasOwnProperty(slot)) {
+            console.warn(`${item.type} can't be equipped`);
+            return null;
+        }
+        
+        const previous = this.equipment[slot];
+        this.equipment[slot] = item;
+        
+        console.log(`Equipped ${item.type} as ${slot}`);
+        return previous;
+    }
+    
+    /**
+     * Empty an equipment slot, returns the removed item
+     */
+    unequip(slot) {
+        const item = this.equipment[slot] || null;
+        
+        if (item) {
+            this.equipment[slot] = null;
+            console.log(`Unequipped ${item.type}`);
+        }
+        
+        return item;
+    }
+    
     /**
      * Serialize player state for saving
      */
@@ -252,7 +552,12 @@ class Player {
             maxHealth: this.maxHealth,
             level: this.level,
             experience: this.experience,
-            nextLevelXP: this.nextLevelXP
+            nextLevelXP: this.nextLevelXP,
+            equipment: { ...this.equipment },
+            attributePoints: this.attributePoints,
+            skillPoints: this.skillPoints,
+            attributes: { ...this.attributes },
+            skills: { ...this.skills }
         };
     }
     
@@ -260,13 +565,39 @@ class Player {
      * Deserialize player state from saved data
      */
     deserialize(data) {
-        this.x = data.x || this.x;
-        this.y = data.y || this.y;
-        this.health = data.health || this.health;
-        this.maxHealth = data.maxHealth || this.maxHealth;
-        this.level = data.level || this.level;
-        this.experience = data.experience || this.experience;
-        this.nextLevelXP = data.nextLevelXP || this.nextLevelXP;
+        // Only copy numeric values, so a saved health of 0 stays 0
+        const fields = ['x', 'y', 'health', 'maxHealth', 'level', 'experience', 'nextLevelXP', 'attributePoints', 'skillPoints'];
+        
+        fields.forEach(field => {
+            if (typeof data[field] === 'number') {
+                this[field] = data[field];
+            }
+        });
+        
+        // Saves from before equipment have all slots empty
+        Object.keys(this.equipment).forEach(slot => {
+            this.equipment[slot] = data.equipment && data.equipment[slot] ? data.equipment[slot] : null;
+        });
+        
+        // Attributes and skills not in the save start at 0
+        Object.keys(this.attributes).forEach(attribute => {
+            this.attributes[attribute] = data.attributes && data.attributes[attribute] || 0;
+        });
+        
+        this.skills = { ...(data.skills || {}) };
+        
+        // Loading a save brings a dead player back to life (see RespawnManager for saves made after dying)
+        if (this.isDead) {
+            this.isDead = false;
+            this.setInputEnabled(true);
+            
+            if (this.element) {
+                this.element.classList.remove('dead');
+            }
+        }
+        
+        // Don't interpolate from the pre-load position
+        this.savePreviousPosition();
         
         // Update DOM element position
         this.updateElementPosition();
@@ -0,0 +1,392 @@
+/**
+ * Quest Manager
+ * Tracks quest objectives from game events, hands out rewards and shows the quest log.
+ */
+
+class QuestManager {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.env = gameEngine.env;
+        
+        // Quest definitions by ID
+        this.definitions = typeof QUEST_DEFINITIONS !== 'undefined' ? QUEST_DEFINITIONS : {};
+        
+        // Quest progress by ID: { status: 'active' | 'completed', progress: [count per objective] }
+        this.quests = {};
+        
+        // DOM elements
+        this.questLog = this.env.getElementById('quest-log');
+        this.questList = this.env.getElementById('quest-list');
+        
+        // Bind methods
+        this.handleCollectItem = this.handleCollectItem.bind(this);
+        this.handleObjectDestroyed = this.handleObjectDestroyed.bind(this);
+        this.handleShowDialog = this.handleShowDialog.bind(this);
+        this.handleWebsiteDamage = this.handleWebsiteDamage.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        
+        // Set up event listeners
+        this.env.on('collect-item', this.handleCollectItem);
+        this.env.on('object-destroyed', this.handleObjectDestroyed);
+        this.env.on('show-dialog', this.handleShowDialog);
+        this.env.on('website-element-damaged', this.handleWebsiteDamage);
+        this.env.listen('keydown', this.handleKeyDown);
+        
+        // Start quests that don't need a giver
+        this.reset();
+    }
+    
+    /**
+     * Forget all quest progress and start the automatic quests again
+     */
+    reset() {
+        this.quests = {};
+        
+        // Automatic quests are part of a fresh game, so they start without announcing it
+        Object.values(this.definitions).forEach(definition => {
+            if (definition.autoStart) {
+                this.quests[definition.id] = this.createQuestState(definition);
+            }
+        });
+        
+        this.refreshQuestLog();
+    }
+    
+    /**
+     * Start a quest (does nothing if it was already started)
+     */
+    startQuest(questId) {
+        const definition = this.definitions[questId];
+        
+        if (!definition) {
+            console.warn(`Unknown quest: ${questId}`);
+            return false;
+        }
+        
+        if (this.quests[questId]) return false;
+        
+        this.quests[questId] = this.createQuestState(definition);
+        
+        console.log(`Quest started: ${definition.title}`);
+        this.env.emit('quest-started', { questId });
+        this.refreshQuestLog();
+        return true;
+    }
+    
+    /**
+     * Create the progress entry of a newly started quest
+     */
+    createQuestState(definition) {
+        return {
+            status: 'active',
+            progress: definition.objectives.map(() => 0)
+        };
+    }
+    
+    /**
+     * Get the state of a quest ('inactive', 'active' or 'completed')
+     */
+    getQuestStatus(questId) {
+        return this.quests[questId] ? this.quests[questId].status : 'inactive';
+    }
+    
+    /**
+     * Get active quests with their definitions
+     */
+    getActiveQuests() {
+        return Object.keys(this.quests)
+            .filter(questId => this.quests[questId].status === 'active')
+            .map(questId => ({ definition: this.definitions[questId], ...this.quests[questId] }));
+    }
+    
+    /**
+     * Get the first unfinished objective of the quest the HUD follows:
+     * the latest quest the player took on, otherwise the oldest automatic one
+     */
+    getTrackedObjective() {
+        const active = this.getActiveQuests();
+        const quest = active.filter(entry => !entry.definition.autoStart).pop() || active[0];
+        
+        if (!quest) return null;
+        
+        const objectives = quest.definition.objectives;
+        const index = objectives.findIndex((objective, i) => quest.progress[i] < (objective.count || 1));
+        
+        if (index === -1) return null;
+        
+        return {
+            questId: quest.definition.id,
+            title: quest.definition.title,
+            description: objectives[index].description || objectives[index].type,
+            progress: quest.progress[index],
+            count: objectives[index].count || 1
+        };
+    }
+    
+    /**
+     * Count an event towards every active objective it matches
+     */
+    recordProgress(type, matches, amount = 1) {
+        Object.keys(this.quests).forEach(questId => {
+            const quest = this.quests[questId];
+            
+            if (quest.status !== 'active') return;
+            
+            const definition = this.definitions[questId];
+            let changed = false;
+            
+            definition.objectives.forEach((objective, index) => {
+                if (objective.type !== type || !matches(objective)) return;
+                
+                const count = objective.count || 1;
+                
+                if (quest.progress[index] < count) {
+                    quest.progress[index] = Math.min(count, quest.progress[index] + amount);
+                    changed = true;
+                }
+            });
+            
+            if (!changed) return;
+            
+            if (this.isQuestComplete(questId)) {
+                this.completeQuest(questId);
+            } else {
+                this.refreshQuestLog();
+            }
+        });
+    }
+    
+    /**
+     * Check if all objectives of a quest are done
+     */
+    isQuestComplete(questId) {
+        const quest = this.quests[questId];
+        const definition = this.definitions[questId];
+        
+        return definition.objectives.every((objective, index) => {
+            return quest.progress[index] >= (objective.count || 1);
+        });
+    }
+    
+    /**
+     * Mark a quest as completed and hand out its rewards
+     */
+    completeQuest(questId) {
+        const quest = this.quests[questId];
+        const definition = this.definitions[questId];
+        
+        if (!quest || quest.status === 'completed') return;
+        
+        quest.status = 'completed';
+        console.log(`Quest completed: ${definition.title}`);
+        
+        this.giveRewards(definition.rewards || {});
+        this.env.emit('quest-completed', { questId });
+        this.refreshQuestLog();
+    }
+    
+    /**
+     * Give quest rewards to the player
+     */
+    giveRewards(rewards) {
+        if (rewards.experience && this.gameEngine.player) {
+            this.gameEngine.player.gainExperience(rewards.experience);
+        }
+        
+        if (rewards.items && this.gameEngine.inventoryManager) {
+            rewards.items.forEach(item => {
+                this.gameEngine.inventoryManager.addItem({
+                    id: this.gameEngine.random.id(),
+                    type: item.type,
+                    value: item.value || 1,
+                    quantity: item.quantity || 1
+                });
+            });
+        }
+    }
+    
+    /**
+     * Count collected items
+     */
+    handleCollectItem(event) {
+        const item = event.detail;
+        
+        // Items the player dropped were already counted when first picked up
+        if (!item || item.dropped) return;
+        
+        // Currency counts by what it's worth, like in the inventory
+        const amount = this.gameEngine.itemRegistry.get(item.type).currency ? item.value || 1 : 1;
+        
+        this.recordProgress('collect', objective => !objective.itemType || objective.itemType === item.type, amount);
+    }
+    
+    /**
+     * Count objects destroyed by the player
+     */
+    handleObjectDestroyed(event) {
+        const object = event.detail;
+        
+        if (!object) return;
+        
+        this.recordProgress('destroy', objective => !objective.objectType || objective.objectType === object.type);
+    }
+    
+    /**
+     * Count conversations and start quests offered by the NPC
+     */
+    handleShowDialog(event) {
+        const npc = event.detail && event.detail.npc;
+        
+        if (!npc) return;
+        
+        this.recordProgress('talk', objective => {
+            return !objective.npc || objective.npc === npc.name || objective.npc === npc.npcId;
+        });
+        
+        // Quest givers hand out their quests when talked to
+        Object.values(this.definitions).forEach(definition => {
+            if (definition.giver === npc.name) {
+                this.startQuest(definition.id);
+            }
+        });
+    }
+    
+    /**
+     * Count damaged website elements
+     */
+    handleWebsiteDamage(event) {
+        const element = event.detail;
+        
+        if (!element) return;
+        
+        this.recordProgress('damage-website', objective => {
+            return !objective.interaction || objective.interaction === element.interaction;
+        });
+    }
+    
+    /**
+     * Toggle the quest log with Q
+     */
+    handleKeyDown(event) {
+        if (!this.gameEngine.isRunning || this.env.isTypingTarget(event.target)) return;
+        
+        if (event.key.toLowerCase() === 'q' && !event.ctrlKey && !event.metaKey && !event.altKey) {
+            this.toggleQuestLog();
+        }
+    }
+    
+    /**
+     * Toggle quest log visibility
+     */
+    toggleQuestLog() {
+        if (!this.questLog) return;
+        
+        this.questLog.classList.toggle('hidden');
+        this.refreshQuestLog();
+    }
+    
+    /**
+     * Refresh the quest log contents
+     */
+    refreshQuestLog() {
+        if (!this.questList) return;
+        
+        this.questList.innerHTML = '';
+        
+        const questIds = Object.keys(this.quests);
+        
+        if (questIds.length === 0) {
+            const emptyElement = this.env.document.createElement('div');
+            emptyElement.className = 'quest empty';
+            emptyElement.textContent = 'No quests yet';
+            this.questList.appendChild(emptyElement);
+            return;
+        }
+        
+        // Active quests first
+        questIds.sort((a, b) => {
+            return (this.quests[a].status === 'completed') - (this.quests[b].status === 'completed');
+        });
+        
+        questIds.forEach(questId => {
+            const quest = this.quests[questId];
+            const definition = this.definitions[questId];
+            
+            const questElement = this.env.document.createElement('div');
+            questElement.className = `quest ${quest.status}`;
+            
+            const titleElement = this.env.document.createElement('div');
+            titleElement.className = 'quest-title';
+            titleElement.textContent = definition.title;
+            questElement.appendChild(titleElement);
+            
+            const descriptionElement = this.env.document.createElement('div');
+            descriptionElement.className = 'quest-description';
+            descriptionElement.textContent = definition.description;
+            questElement.appendChild(descriptionElement);
+            
+            const objectivesElement = this.env.document.createElement('ul');
+            objectivesElement.className = 'quest-objectives';
+            
+            definition.objectives.forEach((objective, index) => {
+                const count = objective.count || 1;
+                const objectiveElement = this.env.document.createElement('li');
+                objectiveElement.textContent = `${objective.description} (${quest.progress[index]}/${count})`;
+                
+                if (quest.progress[index] >= count) {
+                    objectiveElement.classList.add('done');
+                }
+                
+                objectivesElement.appendChild(objectiveElement);
+            });
+            
+            questElement.appendChild(objectivesElement);
+            this.questList.appendChild(questElement);
+        });
+    }
+    
+    /**
+     * Serialize quest progress for saving
+     */
+    serialize() {
+        return Object.keys(this.quests).map(questId => ({
+            id: questId,
+            status: this.quests[questId].status,
+            progress: this.quests[questId].progress.slice()
+        }));
+    }
+    
+    /**
+     * Deserialize quest progress from saved data
+     */
+    deserialize(data) {
+        this.reset();
+        
+        if (!Array.isArray(data)) return;
+        
+        data.forEach(saved => {
+            const definition = this.definitions[saved.id];
+            
+            // Quests removed from the game are dropped
+            if (!definition) return;
+            
+            this.quests[saved.id] = {
+                status: saved.status === 'completed' ? 'completed' : 'active',
+                progress: definition.objectives.map((objective, index) => saved.progress[index] || 0)
+            };
+        });
+        
+        this.refreshQuestLog();
+    }
+    
+    /**
+     * Clean up event listeners
+     */
+    cleanup() {
+        this.env.off('collect-item', this.handleCollectItem);
+        this.env.off('object-destroyed', this.handleObjectDestroyed);
+        this.env.off('show-dialog', this.handleShowDialog);
+        this.env.off('website-element-damaged', this.handleWebsiteDamage);
+        this.env.unlisten('keydown', this.handleKeyDown);
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * Seeded Random
+ * Reproducible pseudo-random numbers (mulberry32), so a seed recreates the same world.
+ */
+
+class SeededRandom {
+    constructor(seed) {
+        this.seed = 0;
+        this.state = 0;
+        
+        this.setSeed(seed === undefined ? SeededRandom.createSeed() : seed);
+    }
+    
+    /**
+     * Pick a fresh seed for a new game
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+    
+    /**
+     * Turn a number or string into a 32-bit seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+        
+        // Numeric strings (e.g. from a URL) map to the same seed as the number
+        const text = String(seed).trim();
+        
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+        
+        // FNV-1a hash for any other text
+        let hash = 0x811c9dc5;
+        
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        
+        return hash >>> 0;
+    }
+    
+    /**
+     * Restart the sequence from a new seed
+     */
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+    
+    /**
+     * Get the next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+    
+    /**
+     * Get a float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+    
+    /**
+     * Get an integer in [min, max)
+     */
+    int(min, max) {
+        return Math.floor(this.range(min, max));
+    }
+    
+    /**
+     * Pick a random element of an array
+     */
+    pick(array) {
+        return array[this.int(0, array.length)];
+    }
+    
+    /**
+     * Return true with the given probability
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+    
+    /**
+     * Generate a short random ID
+     */
+    id() {
+        let id = '';
+        
+        for (let i = 0; i < 9; i++) {
+            id += this.int(0, 36).toString(36);
+        }
+        
+        return id;
+    }
+    
+    /**
+     * Create an independent generator derived from this seed,
+     * so one subsystem's draws don't shift another's
+     */
+    fork(label) {
+        return new SeededRandom(SeededRandom.normalizeSeed(`${this.seed}:${label}`));
+    }
+}
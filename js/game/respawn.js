@@ -0,0 +1,261 @@
+/**
+ * Respawn Manager
+ * Tracks the player's respawn point (the level start or the last checkpoint reached),
+ * shows the game-over overlay when the player dies and brings them back with a penalty.
+ */
+
+class RespawnManager {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.env = gameEngine.env;
+        
+        // Where the player comes back, and the checkpoint that set it (if any)
+        this.respawnPoint = null;
+        this.checkpointId = null;
+        
+        // Penalty applied on death: the share of experience towards the next level
+        // that is lost, and the share of coins dropped where the player fell
+        this.penalty = {
+            experience: 0.25,
+            coins: 0.5
+        };
+        
+        // Summary of the last death's penalty for the overlay
+        this.lastPenalty = null;
+        
+        // DOM elements
+        this.overlay = this.env.getElementById('game-over');
+        this.penaltyText = this.env.getElementById('game-over-penalty');
+        this.respawnButton = this.env.getElementById('respawn-button');
+        
+        // Bind methods
+        this.handlePlayerDied = this.handlePlayerDied.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.respawn = this.respawn.bind(this);
+        
+        // Set up event listeners
+        this.env.on('player-died', this.handlePlayerDied);
+        this.env.listen('keydown', this.handleKeyDown);
+        
+        if (this.respawnButton) {
+            this.respawnButton.addEventListener('click', this.respawn);
+        }
+    }
+    
+    /**
+     * Forget the checkpoint and respawn at a level's start position
+     */
+    reset(startPoint) {
+        this.respawnPoint = { x: startPoint.x, y: startPoint.y };
+        this.checkpointId = null;
+        
+        this.getCheckpoints().forEach(checkpoint => checkpoint.setActive(false));
+    }
+    
+    /**
+     * Get all checkpoints in the world
+     */
+    getCheckpoints() {
+        const objectManager = this.gameEngine.objectManager;
+        
+        if (!objectManager) return [];
+        
+        return objectManager.objects.filter(obj => obj instanceof CheckpointObject && !obj.destroyed);
+    }
+    
+    /**
+     * Activate checkpoints the player walks onto
+     */
+    update(deltaTime) {
+        const player = this.gameEngine.player;
+        
+        if (!player || player.isDead) return;
+        
+        this.getCheckpoints().forEach(checkpoint => {
+            if (!checkpoint.active && player.collidesWith(checkpoint)) {
+                this.activateCheckpoint(checkpoint);
+            }
+        });
+    }
+    
+    /**
+     * Make a checkpoint the respawn point
+     */
+    activateCheckpoint(checkpoint) {
+        const player = this.gameEngine.player;
+        
+        this.getCheckpoints().forEach(other => other.setActive(other === checkpoint));
+        
+        // Respawn standing in front of the flag
+        this.respawnPoint = {
+            x: checkpoint.x + (checkpoint.width - (player ? player.width : 0)) / 2,
+            y: checkpoint.y + checkpoint.height - (player ? player.height : 0)
+        };
+        this.checkpointId = checkpoint.id;
+        
+        console.log('Checkpoint reached');
+        
+        this.env.emit('checkpoint-activated', {
+            objectId: checkpoint.id,
+            x: this.respawnPoint.x,
+            y: this.respawnPoint.y
+        });
+    }
+    
+    /**
+     * Apply the death penalty and show the game-over overlay
+     */
+    handlePlayerDied(event) {
+        const position = event.detail || this.gameEngine.player;
+        
+        this.lastPenalty = this.applyPenalty(position.x, position.y);
+        this.showOverlay();
+    }
+    
+    /**
+     * Take experience and drop coins where the player died, returns what was lost
+     */
+    applyPenalty(x, y) {
+        const player = this.gameEngine.player;
+        const inventoryManager = this.gameEngine.inventoryManager;
+        const lost = { experience: 0, coins: 0 };
+        
+        if (player) {
+            lost.experience = Math.floor(player.experience * this.penalty.experience);
+            player.experience -= lost.experience;
+        }
+        
+        if (inventoryManager) {
+            const coins = Math.floor(inventoryManager.getItemCount('coin') * this.penalty.coins);
+            
+            // Drop from the back of the inventory, one collectible per coin
+            for (let i = 0; i < coins; i++) {
+                const index = inventoryManager.items.map(item => item.type).lastIndexOf('coin');
+                const angle = (i / coins) * Math.PI * 2;
+                
+                inventoryManager.dropItem(index, x + Math.cos(angle) * 30, y + Math.sin(angle) * 30);
+                lost.coins++;
+            }
+        }
+        
+        console.log(`Lost ${lost.experience} XP and dropped ${lost.coins} coins`);
+        return lost;
+    }
+    
+    /**
+     * Bring the player back at the respawn point
+     */
+    respawn() {
+        const player = this.gameEngine.player;
+        
+        if (!player || !player.isDead) return false;
+        
+        const point = this.respawnPoint || { x: player.x, y: player.y };
+        
+        player.respawn(point.x, point.y);
+        this.hideOverlay();
+        
+        this.env.emit('player-respawned', {
+            x: point.x,
+            y: point.y,
+            checkpointId: this.checkpointId
+        });
+        
+        return true;
+    }
+    
+    /**
+     * Respawn with Enter or R on the game-over screen
+     */
+    handleKeyDown(event) {
+        const player = this.gameEngine.player;
+        
+        if (!this.gameEngine.isRunning || !player || !player.isDead) return;
+        
+        if (event.key === 'Enter' || event.key.toLowerCase() === 'r') {
+            event.preventDefault();
+            this.respawn();
+        }
+    }
+    
+    /**
+     * Show the game-over overlay with the penalty
+     */
+    showOverlay() {
+        if (!this.overlay) return;
+        
+        if (this.penaltyText && this.lastPenalty) {
+            const losses = [];
+            
+            if (this.lastPenalty.experience > 0) {
+                losses.push(`lost ${this.lastPenalty.experience} XP`);
+            }
+            
+            if (this.lastPenalty.coins > 0) {
+                losses.push(`dropped ${this.lastPenalty.coins} coins where you fell`);
+            }
+            
+            this.penaltyText.textContent = losses.length > 0 ?
+                `You ${losses.join(' and ')}.` :
+                'You lost nothing this time.';
+        }
+        
+        this.overlay.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide the game-over overlay
+     */
+    hideOverlay() {
+        if (this.overlay) {
+            this.overlay.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Serialize the respawn point for saving
+     */
+    serialize() {
+        return {
+            x: this.respawnPoint ? this.respawnPoint.x : null,
+            y: this.respawnPoint ? this.respawnPoint.y : null,
+            checkpointId: this.checkpointId
+        };
+    }
+    
+    /**
+     * Deserialize the respawn point from saved data
+     */
+    deserialize(data) {
+        const player = this.gameEngine.player;
+        
+        this.hideOverlay();
+        
+        // Saves from before checkpoints respawn where the player was
+        if (data && typeof data.x === 'number' && typeof data.y === 'number') {
+            this.respawnPoint = { x: data.x, y: data.y };
+            this.checkpointId = data.checkpointId || null;
+        } else if (player) {
+            this.respawnPoint = { x: player.x, y: player.y };
+            this.checkpointId = null;
+        }
+        
+        // A game saved after dying continues from the respawn point
+        if (player && player.health <= 0) {
+            player.isDead = true;
+            this.respawn();
+        }
+    }
+    
+    /**
+     * Clean up event listeners
+     */
+    cleanup() {
+        this.env.off('player-died', this.handlePlayerDied);
+        this.env.unlisten('keydown', this.handleKeyDown);
+        
+        if (this.respawnButton) {
+            this.respawnButton.removeEventListener('click', this.respawn);
+        }
+    }
+}
@@ -0,0 +1,600 @@
+/**
+ * Save Manager
+ * Handles versioned save data: storage, schema validation, migrations and backups.
+ */
+
+// Current save format version (saves written before versioning are treated as version 1)
+const SAVE_VERSION = 5;
+
+/**
+ * Migrations upgrade a save from the keyed version to the next one
+ */
+const SAVE_MIGRATIONS = {
+    // 1 -> 2: add version metadata and replace missing sections with empty ones
+    1: (data) => {
+        return {
+            ...data,
+            savedAt: data.savedAt || 0,
+            objects: Array.isArray(data.objects) ? data.objects : [],
+            inventory: data.inventory && Array.isArray(data.inventory.items) ? data.inventory : { items: [] }
+        };
+    },
+    
+    // 2 -> 3: give NPCs an identity and an empty memory (their names were not saved before)
+    2: (data) => {
+        return {
+            ...data,
+            objects: (data.objects || []).map(obj => {
+                if (obj.className !== 'NPCObject') return obj;
+                
+                const name = obj.name || 'Unknown NPC';
+                
+                return {
+                    ...obj,
+                    name,
+                    npcId: obj.npcId || NPCObject.createNpcId(name),
+                    talkCount: 0,
+                    gifts: {}
+                };
+            })
+        };
+    },
+    
+    // 3 -> 4: merge one-item-per-slot inventories into stacks of identical items
+    3: (data) => {
+        const registry = new ItemRegistry();
+        const stacks = [];
+        
+        const items = data.inventory && Array.isArray(data.inventory.items) ? data.inventory.items : [];
+        
+        items.forEach(item => {
+            const stack = stacks.find(existing => {
+                return registry.canStack(existing, item) && existing.quantity < registry.getStackLimit(item.type);
+            });
+            
+            if (stack) {
+                stack.quantity++;
+            } else {
+                stacks.push({ ...item, value: item.value || 1, quantity: 1 });
+            }
+        });
+        
+        return {
+            ...data,
+            inventory: { ...data.inventory, items: stacks }
+        };
+    },
+    
+    // 4 -> 5: add attributes and skills, granting the points for levels already reached
+    4: (data) => {
+        if (!data.player) return data;
+        
+        const points = typeof LEVEL_UP_POINTS !== 'undefined' ? LEVEL_UP_POINTS : { attributePoints: 0, skillPoints: 0 };
+        const levelUps = Math.max(0, (data.player.level || 1) - 1);
+        
+        return {
+            ...data,
+            player: {
+                ...data.player,
+                attributePoints: levelUps * points.attributePoints,
+                skillPoints: levelUps * points.skillPoints,
+                attributes: { strength: 0, agility: 0, vitality: 0 },
+                skills: {}
+            }
+        };
+    }
+};
+
+/**
+ * Schema the migrated save data must match before any of it is applied
+ */
+const SAVE_SCHEMA = {
+    type: 'object',
+    required: ['version'],
+    properties: {
+        version: { type: 'number' },
+        savedAt: { type: 'number' },
+        playtime: { type: 'number' },
+        levelId: { type: 'string' },
+        seed: { type: 'number' },
+        randomState: { type: 'number' },
+        player: {
+            type: 'object',
+            nullable: true,
+            required: ['x', 'y', 'health', 'maxHealth', 'level', 'experience', 'nextLevelXP'],
+            properties: {
+                x: { type: 'number' },
+                y: { type: 'number' },
+                health: { type: 'number' },
+                maxHealth: { type: 'number' },
+                level: { type: 'number' },
+                experience: { type: 'number' },
+                nextLevelXP: { type: 'number' },
+                attributePoints: { type: 'number' },
+                skillPoints: { type: 'number' },
+                attributes: {
+                    type: 'object',
+                    properties: {
+                        strength: { type: 'number' },
+                        agility: { type: 'number' },
+                        vitality: { type: 'number' }
+                    }
+                },
+                skills: { type: 'object' },
+                equipment: {
+                    type: 'object',
+                    properties: {
+                        weapon: { type: 'object', nullable: true, required: ['type'] },
+                        armor: { type: 'object', nullable: true, required: ['type'] },
+                        accessory: { type: 'object', nullable: true, required: ['type'] }
+                    }
+                }
+            }
+        },
+        world: {
+            type: 'object',
+            nullable: true,
+            required: ['cells'],
+            properties: {
+                gridSize: { type: 'number' },
+                cells: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['x', 'y'],
+                        properties: {
+                            x: { type: 'number' },
+                            y: { type: 'number' },
+                            type: { type: 'string' },
+                            solid: { type: 'boolean' },
+                            color: { type: 'string' }
+                        }
+                    }
+                }
+            }
+        },
+        objects: {
+            type: 'array',
+            nullable: true,
+            items: {
+                type: 'object',
+                required: ['x', 'y', 'width', 'height', 'type'],
+                properties: {
+                    id: { type: 'string' },
+                    className: { type: 'string' },
+                    x: { type: 'number' },
+                    y: { type: 'number' },
+                    width: { type: 'number' },
+                    height: { type: 'number' },
+                    type: { type: 'string' },
+                    health: { type: 'number' },
+                    maxHealth: { type: 'number' },
+                    itemType: { type: 'string' },
+                    value: { type: 'number' },
+                    dropped: { type: 'boolean' },
+                    name: { type: 'string' },
+                    npcId: { type: 'string' },
+                    currentNodeId: { type: 'string' },
+                    talkCount: { type: 'number' },
+                    gifts: { type: 'object' },
+                    locked: { type: 'boolean' },
+                    open: { type: 'boolean' },
+                    keyId: { type: 'string', nullable: true },
+                    enemyType: { type: 'string' },
+                    homeX: { type: 'number' },
+                    homeY: { type: 'number' },
+                    active: { type: 'boolean' }
+                }
+            }
+        },
+        inventory: {
+            type: 'object',
+            nullable: true,
+            required: ['items'],
+            properties: {
+                items: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['type', 'quantity'],
+                        properties: {
+                            id: { type: 'string' },
+                            type: { type: 'string' },
+                            value: { type: 'number' },
+                            quantity: { type: 'number' }
+                        }
+                    }
+                }
+            }
+        },
+        dialog: {
+            type: 'object',
+            nullable: true,
+            properties: {
+                flags: { type: 'object' }
+            }
+        },
+        respawn: {
+            type: 'object',
+            nullable: true,
+            properties: {
+                x: { type: 'number' },
+                y: { type: 'number' },
+                checkpointId: { type: 'string' }
+            }
+        },
+        crafting: {
+            type: 'object',
+            nullable: true,
+            properties: {
+                discovered: {
+                    type: 'array',
+                    items: { type: 'string' }
+                }
+            }
+        },
+        website: {
+            type: 'object',
+            nullable: true,
+            properties: {
+                elements: { type: 'object' }
+            }
+        },
+        quests: {
+            type: 'array',
+            nullable: true,
+            items: {
+                type: 'object',
+                required: ['id', 'status', 'progress'],
+                properties: {
+                    id: { type: 'string' },
+                    status: { type: 'string' },
+                    progress: {
+                        type: 'array',
+                        items: { type: 'number' }
+                    }
+                }
+            }
+        }
+    }
+};
+
+class SaveManager {
+    constructor(storage) {
+        this.storage = storage || localStorage;
+        this.storageKey = 'butteredUpsad_gameState';
+        this.slotIndexKey = 'butteredUpsad_saveSlots';
+        
+        // Slot used when none is given (the main slot keeps the original storage key)
+        this.defaultSlot = 'main';
+        this.activeSlot = this.defaultSlot;
+        
+        // Quicksaves rotate through a fixed number of slots
+        this.quicksaveSlots = ['quicksave-1', 'quicksave-2', 'quicksave-3'];
+        this.autosaveSlot = 'autosave';
+    }
+    
+    /**
+     * Check if a slot is written by the game itself (main, quicksaves and autosave)
+     */
+    isReservedSlot(slot) {
+        return slot === this.defaultSlot || slot === this.autosaveSlot || this.quicksaveSlots.includes(slot);
+    }
+    
+    /**
+     * Get the storage key for a slot
+     */
+    getSlotKey(slot) {
+        return slot === this.defaultSlot ? this.storageKey : `${this.storageKey}_slot_${slot}`;
+    }
+    
+    /**
+     * Write game state to a slot, keeping the slot's previous save as a backup
+     */
+    save(gameState, slot = this.activeSlot) {
+        const key = this.getSlotKey(slot);
+        const data = this.stamp(gameState);
+        
+        // Only a usable previous save is worth keeping as a backup
+        const previous = this.storage.getItem(key);
+        
+        if (previous && this.parse(previous).state) {
+            this.storage.setItem(`${key}_backup`, previous);
+        }
+        
+        this.storage.setItem(key, JSON.stringify(data));
+        this.updateSlotIndex(slot, data);
+        return data;
+    }
+    
+    /**
+     * Add version metadata to game state
+     */
+    stamp(gameState) {
+        return {
+            ...gameState,
+            version: SAVE_VERSION,
+            savedAt: Date.now()
+        };
+    }
+    
+    /**
+     * Read, migrate and validate the game state saved in a slot.
+     * Falls back to the backup if the save is unusable, returns null if nothing is.
+     */
+    load(slot = this.activeSlot) {
+        const key = this.getSlotKey(slot);
+        const raw = this.storage.getItem(key);
+        
+        if (!raw) return null;
+        
+        const result = this.parse(raw);
+        
+        if (result.state) {
+            return result.state;
+        }
+        
+        return this.reject(slot, result.errors);
+    }
+    
+    /**
+     * Set aside the unusable save in a slot and fall back to its backup.
+     * Returns the backup's game state, or null if there is no usable backup.
+     */
+    reject(slot = this.activeSlot, errors) {
+        const key = this.getSlotKey(slot);
+        const raw = this.storage.getItem(key);
+        
+        // Set the broken save aside so it isn't overwritten by the next save
+        console.error(`Saved game state in slot "${slot}" is invalid:`, errors);
+        
+        if (raw) {
+            this.quarantine(key, raw, errors);
+        }
+        
+        const backup = this.storage.getItem(`${key}_backup`);
+        
+        if (backup) {
+            const backupResult = this.parse(backup);
+            
+            if (backupResult.state) {
+                console.log(`Restored slot "${slot}" from backup`);
+                this.storage.setItem(key, backup);
+                this.updateSlotIndex(slot, backupResult.state);
+                return backupResult.state;
+            }
+            
+            console.error('Backup game state is invalid:', backupResult.errors);
+        }
+        
+        this.storage.removeItem(key);
+        this.removeFromSlotIndex(slot);
+        return null;
+    }
+    
+    /**
+     * Pick the quicksave slot to write next (an empty one, otherwise the oldest)
+     */
+    getNextQuicksaveSlot() {
+        const slots = this.getSlotIndex();
+        
+        return this.quicksaveSlots.reduce((oldest, slot) => {
+            const savedAt = slots[slot] ? slots[slot].savedAt : 0;
+            const oldestSavedAt = slots[oldest] ? slots[oldest].savedAt : 0;
+            return savedAt < oldestSavedAt ? slot : oldest;
+        });
+    }
+    
+    /**
+     * Get the most recently written quicksave slot, if any
+     */
+    getLatestQuicksaveSlot() {
+        const slots = this.getSlotIndex();
+        const saved = this.quicksaveSlots.filter(slot => slots[slot]);
+        
+        if (saved.length === 0) return null;
+        
+        return saved.reduce((latest, slot) => {
+            return slots[slot].savedAt > slots[latest].savedAt ? slot : latest;
+        });
+    }
+    
+    /**
+     * List saved slots with their summary, newest first
+     */
+    listSlots() {
+        const slots = this.getSlotIndex();
+        
+        return Object.keys(slots)
+            .map(name => ({ name, ...slots[name] }))
+            .sort((a, b) => b.savedAt - a.savedAt);
+    }
+    
+    /**
+     * Read the slot summary index
+     */
+    getSlotIndex() {
+        try {
+            const index = JSON.parse(this.storage.getItem(this.slotIndexKey));
+            
+            if (index && typeof index === 'object') {
+                return index;
+            }
+        } catch (error) {
+            console.error('Error reading save slot index:', error);
+        }
+        
+        // Rebuild the entry for a main slot saved before slots existed
+        const index = {};
+        const legacy = this.storage.getItem(this.storageKey);
+        
+        if (legacy) {
+            const result = this.parse(legacy);
+            
+            if (result.state) {
+                index[this.defaultSlot] = this.summarize(result.state);
+            }
+        }
+        
+        return index;
+    }
+    
+    /**
+     * Record a slot's summary in the index
+     */
+    updateSlotIndex(slot, data) {
+        const index = this.getSlotIndex();
+        index[slot] = this.summarize(data);
+        this.storage.setItem(this.slotIndexKey, JSON.stringify(index));
+    }
+    
+    /**
+     * Drop a slot from the index
+     */
+    removeFromSlotIndex(slot) {
+        const index = this.getSlotIndex();
+        delete index[slot];
+        this.storage.setItem(this.slotIndexKey, JSON.stringify(index));
+    }
+    
+    /**
+     * Build the summary shown in the slot picker
+     */
+    summarize(data) {
+        return {
+            savedAt: data.savedAt || 0,
+            level: data.player ? data.player.level : 1,
+            playtime: data.playtime || 0
+        };
+    }
+    
+    /**
+     * Parse raw save data, returning either a usable state or the reasons it isn't
+     */
+    parse(raw) {
+        let data;
+        
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            return { state: null, errors: [`Invalid JSON: ${error.message}`] };
+        }
+        
+        return this.prepare(data);
+    }
+    
+    /**
+     * Migrate and validate already parsed save data
+     */
+    prepare(data) {
+        let state;
+        
+        try {
+            state = this.migrate(data);
+        } catch (error) {
+            return { state: null, errors: [error.message] };
+        }
+        
+        const errors = this.validate(state);
+        
+        return errors.length > 0 ? { state: null, errors } : { state, errors };
+    }
+    
+    /**
+     * Upgrade save data step by step to the current version
+     */
+    migrate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Save data is not an object');
+        }
+        
+        let version = typeof data.version === 'number' ? data.version : 1;
+        let state = data;
+        
+        if (version > SAVE_VERSION) {
+            throw new Error(`Save version ${version} is newer than supported version ${SAVE_VERSION}`);
+        }
+        
+        while (version < SAVE_VERSION) {
+            const migration = SAVE_MIGRATIONS[version];
+            
+            if (!migration) {
+                throw new Error(`No migration from save version ${version}`);
+            }
+            
+            state = migration(state);
+            version++;
+            state.version = version;
+        }
+        
+        return state;
+    }
+    
+    /**
+     * Validate save data against the save schema, returns a list of errors
+     */
+    validate(data) {
+        return this.validateValue(data, SAVE_SCHEMA, 'save');
+    }
+    
+    /**
+     * Validate a single value against a schema node
+     */
+    validateValue(value, schema, path) {
+        if (value === null || value === undefined) {
+            return schema.nullable ? [] : [`${path} is missing`];
+        }
+        
+        const actualType = Array.isArray(value) ? 'array' : typeof value;
+        
+        if (actualType !== schema.type || (schema.type === 'number' && !Number.isFinite(value))) {
+            return [`${path} should be ${schema.type}`];
+        }
+        
+        const errors = [];
+        
+        if (schema.type === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined || value[key] === null) {
+                    errors.push(`${path}.${key} is missing`);
+                }
+            });
+            
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (value[key] !== undefined && value[key] !== null) {
+                    errors.push(...this.validateValue(value[key], propertySchema, `${path}.${key}`));
+                }
+            });
+        }
+        
+        if (schema.type === 'array' && schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...this.validateValue(item, schema.items, `${path}[${index}]`));
+            });
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Keep a copy of unusable save data for inspection
+     */
+    quarantine(key, raw, errors) {
+        this.storage.setItem(`${key}_quarantine`, JSON.stringify({
+            quarantinedAt: Date.now(),
+            errors,
+            raw
+        }));
+    }
+    
+    /**
+     * Remove the saved game state of a slot and its backup
+     */
+    clear(slot = this.activeSlot) {
+        const key = this.getSlotKey(slot);
+        
+        this.storage.removeItem(key);
+        this.storage.removeItem(`${key}_backup`);
+        this.removeFromSlotIndex(slot);
+    }
+}
@@ -0,0 +1,403 @@
+/**
+ * Save Slot Panel
+ * Handles the slot picker overlay and the quicksave/quickload hotkeys.
+ */
+
+class SaveSlotPanel {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.saveManager = gameEngine.saveManager;
+        this.env = gameEngine.env;
+        
+        // DOM elements
+        this.panel = this.env.getElementById('save-slot-panel');
+        this.slotList = this.env.getElementById('save-slot-list');
+        this.slotNameInput = this.env.getElementById('save-slot-name');
+        this.createButton = this.env.getElementById('save-slot-create');
+        this.exportButton = this.env.getElementById('save-export');
+        this.importButton = this.env.getElementById('save-import');
+        this.importInput = this.env.getElementById('save-import-file');
+        this.importPreview = this.env.getElementById('save-import-preview');
+        
+        // Import waiting for confirmation
+        this.pendingImport = null;
+        
+        // Bind methods
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleCreateSlot = this.handleCreateSlot.bind(this);
+        this.togglePanel = this.togglePanel.bind(this);
+        this.exportSave = this.exportSave.bind(this);
+        this.openImportDialog = this.openImportDialog.bind(this);
+        this.handleImportFile = this.handleImportFile.bind(this);
+        
+        // Set up event listeners
+        this.env.listen('keydown', this.handleKeyDown);
+        
+        if (this.createButton) {
+            this.createButton.addEventListener('click', this.handleCreateSlot);
+        }
+        
+        if (this.exportButton) {
+            this.exportButton.addEventListener('click', this.exportSave);
+        }
+        
+        if (this.importButton) {
+            this.importButton.addEventListener('click', this.openImportDialog);
+        }
+        
+        if (this.importInput) {
+            this.importInput.addEventListener('change', this.handleImportFile);
+        }
+    }
+    
+    /**
+     * Handle save hotkeys (F5 quicksave, F9 quickload, F6 slot picker)
+     */
+    handleKeyDown(event) {
+        if (!this.gameEngine.isRunning) return;
+        
+        switch (event.key) {
+            case 'F5':
+                event.preventDefault();
+                this.gameEngine.quicksave();
+                this.refreshSlotList();
+                break;
+            case 'F9':
+                event.preventDefault();
+                this.gameEngine.quickload();
+                break;
+            case 'F6':
+                event.preventDefault();
+                this.togglePanel();
+                break;
+        }
+    }
+    
+    /**
+     * Toggle slot picker visibility
+     */
+    togglePanel() {
+        if (!this.panel) return;
+        
+        if (this.panel.classList.contains('hidden')) {
+            this.showPanel();
+        } else {
+            this.hidePanel();
+        }
+    }
+    
+    /**
+     * Show slot picker
+     */
+    showPanel() {
+        if (!this.panel) return;
+        
+        this.refreshSlotList();
+        this.panel.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide slot picker
+     */
+    hidePanel() {
+        if (!this.panel) return;
+        
+        this.panel.classList.add('hidden');
+        this.clearImportPreview();
+    }
+    
+    /**
+     * Save into a new slot named in the input
+     */
+    handleCreateSlot() {
+        if (!this.slotNameInput) return;
+        
+        // Slot names end up in storage keys, so keep them simple
+        const name = this.slotNameInput.value.trim().toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+        
+        if (!name) return;
+        
+        // Don't let named slots overwrite (or get overwritten by) the game's own slots
+        if (this.saveManager.isReservedSlot(name)) {
+            console.log(`"${name}" is a reserved slot name`);
+            this.slotNameInput.value = '';
+            this.slotNameInput.placeholder = `"${name}" is reserved, pick another name`;
+            return;
+        }
+        
+        this.gameEngine.saveGameState(name);
+        this.saveManager.activeSlot = name;
+        this.slotNameInput.value = '';
+        this.slotNameInput.placeholder = 'New slot name';
+        this.refreshSlotList();
+    }
+    
+    /**
+     * Refresh the list of saved slots
+     */
+    refreshSlotList() {
+        if (!this.slotList) return;
+        
+        this.slotList.innerHTML = '';
+        
+        const slots = this.saveManager.listSlots();
+        
+        if (slots.length === 0) {
+            const emptyElement = this.env.document.createElement('div');
+            emptyElement.className = 'save-slot empty';
+            emptyElement.textContent = 'No saves yet';
+            this.slotList.appendChild(emptyElement);
+            return;
+        }
+        
+        slots.forEach(slot => {
+            const slotElement = this.env.document.createElement('div');
+            slotElement.className = 'save-slot';
+            
+            if (slot.name === this.saveManager.activeSlot) {
+                slotElement.classList.add('active');
+            }
+            
+            const infoElement = this.env.document.createElement('div');
+            infoElement.className = 'save-slot-info';
+            infoElement.innerHTML = `
+                <span class="save-slot-name">${slot.name}</span>
+                <span class="save-slot-meta">Lv ${slot.level} &middot; ${this.formatPlaytime(slot.playtime)}</span>
+                <span class="save-slot-date">${new Date(slot.savedAt).toLocaleString()}</span>
+            `;
+            slotElement.appendChild(infoElement);
+            
+            const actionsElement = this.env.document.createElement('div');
+            actionsElement.className = 'save-slot-actions';
+            
+            actionsElement.appendChild(this.createActionButton('Load', () => {
+                this.gameEngine.loadGameState(slot.name);
+                this.hidePanel();
+            }));
+            
+            actionsElement.appendChild(this.createActionButton('Save', () => {
+                this.gameEngine.saveGameState(slot.name);
+                this.saveManager.activeSlot = slot.name;
+                this.refreshSlotList();
+            }));
+            
+            actionsElement.appendChild(this.createActionButton('Delete', () => {
+                this.saveManager.clear(slot.name);
+                this.refreshSlotList();
+            }));
+            
+            slotElement.appendChild(actionsElement);
+            this.slotList.appendChild(slotElement);
+        });
+    }
+    
+    /**
+     * Download the current game state as a JSON file
+     */
+    exportSave() {
+        const data = this.saveManager.stamp(this.gameEngine.getGameState());
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = this.env.document.createElement('a');
+        link.href = url;
+        link.download = `butteredupsad-${this.saveManager.activeSlot}-${new Date(data.savedAt).toISOString().slice(0, 10)}.json`;
+        this.env.document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Revoking right away can cancel the download
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        console.log('Game state exported!');
+    }
+    
+    /**
+     * Open the file picker for importing a save
+     */
+    openImportDialog() {
+        if (!this.importInput) return;
+        
+        // Reset so picking the same file again still fires a change event
+        this.importInput.value = '';
+        this.importInput.click();
+    }
+    
+    /**
+     * Read and validate an imported save file
+     */
+    handleImportFile(event) {
+        const file = event.target.files && event.target.files[0];
+        
+        if (!file) return;
+        
+        const reader = new FileReader();
+        
+        reader.addEventListener('load', () => {
+            // Imports go through the same migrations and validation as loading a slot
+            const result = this.saveManager.parse(reader.result);
+            
+            if (!result.state) {
+                console.error('Imported save is invalid:', result.errors);
+                this.showImportError(result.errors);
+                return;
+            }
+            
+            this.showImportPreview(result.state);
+        });
+        
+        reader.addEventListener('error', () => {
+            this.showImportError([`Could not read ${file.name}`]);
+        });
+        
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Summarize game state for the import diff
+     */
+    summarizeState(gameState) {
+        return {
+            level: gameState.player ? gameState.player.level : 1,
+            items: gameState.inventory ?
+                gameState.inventory.items.reduce((total, item) => total + (item.quantity || 1), 0) : 0,
+            objects: gameState.objects ? gameState.objects.filter(obj => !obj.destroyed).length : 0
+        };
+    }
+    
+    /**
+     * Show what an import would change and ask for confirmation
+     */
+    showImportPreview(gameState) {
+        if (!this.importPreview) return;
+        
+        this.pendingImport = gameState;
+        
+        const current = this.summarizeState(this.gameEngine.getGameState());
+        const incoming = this.summarizeState(gameState);
+        
+        this.importPreview.innerHTML = `
+            <p>Replace the current game with this save?</p>
+            <ul>
+                <li>Level: ${current.level} &rarr; ${incoming.level}</li>
+                <li>Items: ${current.items} &rarr; ${incoming.items}</li>
+                <li>Objects: ${current.objects} &rarr; ${incoming.objects}</li>
+            </ul>
+        `;
+        
+        this.importPreview.appendChild(this.createActionButton('Import', () => {
+            this.confirmImport();
+        }));
+        
+        this.importPreview.appendChild(this.createActionButton('Cancel', () => {
+            this.clearImportPreview();
+        }));
+        
+        this.importPreview.classList.remove('hidden');
+    }
+    
+    /**
+     * Show why an import was rejected
+     */
+    showImportError(errors) {
+        if (!this.importPreview) return;
+        
+        this.pendingImport = null;
+        this.importPreview.innerHTML = '<p>This file is not a valid save.</p>';
+        
+        const list = this.env.document.createElement('ul');
+        
+        errors.slice(0, 5).forEach(error => {
+            const item = this.env.document.createElement('li');
+            item.textContent = error;
+            list.appendChild(item);
+        });
+        
+        this.importPreview.appendChild(list);
+        this.importPreview.appendChild(this.createActionButton('OK', () => {
+            this.clearImportPreview();
+        }));
+        
+        this.importPreview.classList.remove('hidden');
+    }
+    
+    /**
+     * Apply the pending import and save it to the active slot
+     */
+    confirmImport() {
+        if (!this.pendingImport) return;
+        
+        // The current game is kept if the import fails halfway
+        const error = this.gameEngine.applyGameStateSafely(this.pendingImport);
+        
+        if (error) {
+            console.error('Error importing game state:', error);
+            this.showImportError([error.message]);
+            return;
+        }
+        
+        this.gameEngine.saveGameState();
+        console.log('Game state imported!');
+        
+        this.clearImportPreview();
+        this.refreshSlotList();
+    }
+    
+    /**
+     * Dismiss the import preview
+     */
+    clearImportPreview() {
+        this.pendingImport = null;
+        
+        if (this.importPreview) {
+            this.importPreview.innerHTML = '';
+            this.importPreview.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Create a slot action button
+     */
+    createActionButton(label, onClick) {
+        const button = this.env.document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    /**
+     * Format playtime seconds as hours and minutes
+     */
+    formatPlaytime(seconds) {
+        const totalMinutes = Math.floor((seconds || 0) / 60);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    }
+    
+    /**
+     * Clean up event listeners
+     */
+    cleanup() {
+        this.env.unlisten('keydown', this.handleKeyDown);
+        
+        if (this.createButton) {
+            this.createButton.removeEventListener('click', this.handleCreateSlot);
+        }
+        
+        if (this.exportButton) {
+            this.exportButton.removeEventListener('click', this.exportSave);
+        }
+        
+        if (this.importButton) {
+            this.importButton.removeEventListener('click', this.openImportDialog);
+        }
+        
+        if (this.importInput) {
+            this.importInput.removeEventListener('change', this.handleImportFile);
+        }
+        
+        this.clearImportPreview();
+        this.hidePanel();
+    }
+}
@@ -0,0 +1,238 @@
+/**
+ * Skill Manager
+ * Shows the skill tree (K) where the player spends attribute and skill points earned on
+ * level-up, and runs passive skills such as the collectible magnet.
+ */
+
+class SkillManager {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.env = gameEngine.env;
+        
+        // Speed collectibles fly towards the player with the magnet skill
+        this.magnetSpeed = 300; // pixels per second
+        
+        // Player values the panel was last drawn with
+        this.shownState = null;
+        
+        // DOM elements
+        this.skillTree = this.env.getElementById('skill-tree');
+        this.pointsElement = this.env.getElementById('skill-points');
+        this.attributeList = this.env.getElementById('attribute-list');
+        this.skillList = this.env.getElementById('skill-list');
+        
+        // Bind methods
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        
+        // Set up event listeners
+        this.env.listen('keydown', this.handleKeyDown);
+    }
+    
+    /**
+     * Pull collectibles in with the magnet skill and keep the open panel current
+     */
+    update(deltaTime) {
+        const player = this.gameEngine.player;
+        
+        if (!player) return;
+        
+        if (!player.isDead) {
+            this.updateMagnet(deltaTime, player);
+        }
+        
+        // Points change on level-up while the panel may be open
+        if (this.isOpen()) {
+            const state = this.getShownState(player);
+            
+            if (state !== this.shownState) {
+                this.refreshSkillTree();
+            }
+        }
+    }
+    
+    /**
+     * Move collectibles within the magnet radius towards the player and collect the ones that arrive
+     */
+    updateMagnet(deltaTime, player) {
+        const radius = player.getSkillBonus('magnetRadius');
+        const objectManager = this.gameEngine.objectManager;
+        
+        if (radius <= 0 || !objectManager) return;
+        
+        const centerX = player.x + player.width / 2;
+        const centerY = player.y + player.height / 2;
+        
+        objectManager.objects
+            .filter(obj => obj instanceof CollectibleObject && !obj.destroyed && obj.interactive)
+            .forEach(collectible => {
+                if (collectible.distanceTo(player) > radius) return;
+                
+                if (player.collidesWith(collectible)) {
+                    collectible.onClick(null);
+                    return;
+                }
+                
+                const dx = centerX - (collectible.x + collectible.width / 2);
+                const dy = centerY - (collectible.y + collectible.height / 2);
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                const step = Math.min(distance, this.magnetSpeed * deltaTime);
+                
+                collectible.x += dx / distance * step;
+                collectible.y += dy / distance * step;
+                
+                if (collectible.element) {
+                    collectible.element.style.left = `${collectible.x}px`;
+                    collectible.element.style.top = `${collectible.y}px`;
+                }
+            });
+    }
+    
+    /**
+     * Toggle the skill tree with K
+     */
+    handleKeyDown(event) {
+        if (!this.gameEngine.isRunning || this.env.isTypingTarget(event.target)) return;
+        
+        if (event.key.toLowerCase() === 'k' && !event.ctrlKey && !event.metaKey && !event.altKey) {
+            this.toggleSkillTree();
+        }
+    }
+    
+    /**
+     * Check if the skill tree is open
+     */
+    isOpen() {
+        return Boolean(this.skillTree) && !this.skillTree.classList.contains('hidden');
+    }
+    
+    /**
+     * Toggle skill tree visibility
+     */
+    toggleSkillTree() {
+        if (!this.skillTree) return;
+        
+        this.skillTree.classList.toggle('hidden');
+        this.refreshSkillTree();
+    }
+    
+    /**
+     * Summarize the player values the panel depends on
+     */
+    getShownState(player) {
+        return JSON.stringify([player.level, player.attributePoints, player.skillPoints, player.attributes, player.skills]);
+    }
+    
+    /**
+     * Describe why a skill can't be learned yet, or null if it can
+     */
+    describeRequirement(skill) {
+        const player = this.gameEngine.player;
+        const definitions = Player.getSkillDefinitions();
+        
+        if (player.getSkillRank(skill.id) >= (skill.maxRank || 1)) return 'Maxed';
+        
+        const missing = (skill.requires || []).filter(required => player.getSkillRank(required) === 0);
+        
+        if (missing.length > 0) {
+            return `Requires ${missing.map(required => definitions[required] ? definitions[required].name : required).join(', ')}`;
+        }
+        
+        if (player.level < (skill.level || 1)) return `Requires level ${skill.level}`;
+        
+        if (player.skillPoints < (skill.cost || 1)) return `Costs ${skill.cost || 1} skill points`;
+        
+        return null;
+    }
+    
+    /**
+     * Refresh the skill tree contents
+     */
+    refreshSkillTree() {
+        const player = this.gameEngine.player;
+        
+        if (!player || !this.attributeList || !this.skillList) return;
+        
+        this.shownState = this.getShownState(player);
+        
+        if (this.pointsElement) {
+            this.pointsElement.textContent = `${player.attributePoints} attribute points · ${player.skillPoints} skill points`;
+        }
+        
+        // Attributes
+        this.attributeList.innerHTML = '';
+        
+        Object.keys(Player.getAttributeDefinitions()).forEach(attribute => {
+            const definition = Player.getAttributeDefinitions()[attribute];
+            
+            const attributeElement = this.env.document.createElement('div');
+            attributeElement.className = 'skill';
+            
+            const nameElement = this.env.document.createElement('div');
+            nameElement.className = 'skill-name';
+            nameElement.textContent = `${definition.name} ${player.attributes[attribute] || 0}`;
+            attributeElement.appendChild(nameElement);
+            
+            const detailsElement = this.env.document.createElement('div');
+            detailsElement.className = 'skill-details';
+            detailsElement.textContent = definition.description;
+            attributeElement.appendChild(detailsElement);
+            
+            const spendButton = this.env.document.createElement('button');
+            spendButton.textContent = '+';
+            spendButton.disabled = player.attributePoints <= 0;
+            spendButton.addEventListener('click', () => {
+                player.spendAttributePoint(attribute);
+                this.refreshSkillTree();
+            });
+            attributeElement.appendChild(spendButton);
+            
+            this.attributeList.appendChild(attributeElement);
+        });
+        
+        // Skills
+        this.skillList.innerHTML = '';
+        
+        Object.values(Player.getSkillDefinitions()).forEach(skill => {
+            const rank = player.getSkillRank(skill.id);
+            const requirement = this.describeRequirement(skill);
+            
+            const skillElement = this.env.document.createElement('div');
+            skillElement.className = rank > 0 ? 'skill learned' : 'skill';
+            
+            const nameElement = this.env.document.createElement('div');
+            nameElement.className = 'skill-name';
+            nameElement.textContent = `${skill.name} ${rank}/${skill.maxRank || 1}`;
+            skillElement.appendChild(nameElement);
+            
+            const detailsElement = this.env.document.createElement('div');
+            detailsElement.className = 'skill-details';
+            detailsElement.textContent = skill.description;
+            skillElement.appendChild(detailsElement);
+            
+            if (requirement) {
+                const metaElement = this.env.document.createElement('div');
+                metaElement.className = 'skill-meta';
+                metaElement.textContent = requirement;
+                skillElement.appendChild(metaElement);
+            }
+            
+            const learnButton = this.env.document.createElement('button');
+            learnButton.textContent = 'Learn';
+            learnButton.disabled = !player.canLearnSkill(skill.id);
+            learnButton.addEventListener('click', () => {
+                player.learnSkill(skill.id);
+                this.refreshSkillTree();
+            });
+            skillElement.appendChild(learnButton);
+            
+            this.skillList.appendChild(skillElement);
+        });
+    }
+    
+    /**
+     * Clean up event listeners
+     */
+    cleanup() {
+        this.env.unlisten('keydown', this.handleKeyDown);
+    }
+}
@@ -0,0 +1,271 @@
+/**
+ * Website Element Registry
+ * Keeps track of the website elements the game can interact with. Elements are picked up when the
+ * game starts and, through a MutationObserver, whenever the page adds them later; removed elements
+ * are forgotten, and elements in hidden page sections can't be interacted with.
+ */
+
+class WebsiteElementRegistry {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.env = gameEngine.env;
+        
+        // Elements that can be affected by the game, including any element the page
+        // marks up with the data-game-* attributes
+        this.selectors = [
+            'h1', 'h2', 'p', 'button', 'input', 'textarea',
+            '.blog-post', '.nav-links li', 'form', 'img', '.success-message',
+            '[data-game-interaction]', '[data-game-health]', '[data-game-loot]', '[data-game-on-destroy]',
+            '[data-game-draggable]', '[data-game-protected]'
+        ];
+        
+        // Registered elements
+        this.elements = new Set();
+        
+        // ID of the visible .page-section (website.js navigation switches it)
+        this.activeSectionId = null;
+        
+        this.observer = null;
+        
+        // Bind methods
+        this.handleMutations = this.handleMutations.bind(this);
+    }
+    
+    /**
+     * Register the elements on the page and watch for changes
+     */
+    start() {
+        const body = this.env.document ? this.env.document.body : null;
+        
+        if (!body) return;
+        
+        this.scan(body);
+        this.activeSectionId = this.getActiveSectionId();
+        
+        if (typeof MutationObserver === 'undefined') return;
+        
+        this.observer = new MutationObserver(this.handleMutations);
+        this.observer.observe(body, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: [
+                'class', 'data-game-interaction', 'data-game-health', 'data-game-loot',
+                'data-game-on-destroy', 'data-game-draggable', 'data-game-protected'
+            ]
+        });
+    }
+    
+    /**
+     * Register an element and the elements inside it that match the selectors
+     */
+    scan(root) {
+        // The game's own DOM changes all the time and is never interactable
+        if (root.closest && root.closest('#game-container')) return;
+        
+        const selector = this.selectors.join(',');
+        
+        if (root.matches && root.matches(selector)) {
+            this.register(root);
+        }
+        
+        if (root.querySelectorAll) {
+            root.querySelectorAll(selector).forEach(element => this.register(element));
+        }
+    }
+    
+    /**
+     * Make an element interactable, returns false if it is skipped
+     */
+    register(element) {
+        // Skip elements that are part of the game or opted out
+        if (element.closest('#game-container') || element.dataset.gameInteraction === 'none') return false;
+        
+        if (this.elements.has(element)) return true;
+        
+        // Add game-interactable class for styling
+        element.classList.add('game-interactable');
+        
+        // Add data attribute for interaction type (unless the page set one)
+        if (!element.dataset.gameInteraction) {
+            element.dataset.gameInteraction = this.getDefaultInteraction(element);
+        }
+        
+        // Add health property for breakable elements (data-game-health sets the starting health)
+        if (!element.dataset.gameMaxHealth) {
+            element.dataset.gameMaxHealth = element.dataset.gameHealth || '3';
+        }
+        
+        if (!element.dataset.gameHealth) {
+            element.dataset.gameHealth = element.dataset.gameMaxHealth;
+        }
+        
+        this.elements.add(element);
+        
+        // Give it a stable ID and reapply saved changes
+        if (this.gameEngine.websiteStateManager) {
+            this.gameEngine.websiteStateManager.register(element);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Get the interaction type an element has by its tag
+     */
+    getDefaultInteraction(element) {
+        const tagName = element.tagName.toLowerCase();
+        
+        if (tagName === 'h1' || tagName === 'h2') {
+            return 'header';
+        } else if (tagName === 'p') {
+            return 'text';
+        } else if (tagName === 'button' || tagName === 'input' || tagName === 'textarea') {
+            return 'control';
+        } else if (element.classList.contains('blog-post')) {
+            return 'content';
+        } else if (tagName === 'img') {
+            return 'image';
+        }
+        
+        return 'generic';
+    }
+    
+    /**
+     * Forget an element that left the page
+     */
+    unregister(element) {
+        if (!this.elements.delete(element)) return;
+        
+        const interactionManager = this.gameEngine.interactionManager;
+        
+        if (!interactionManager) return;
+        
+        // Stop dragging it
+        if (interactionManager.draggingElement === element) {
+            interactionManager.draggingElement = null;
+            interactionManager.elementDragStart = null;
+        }
+        
+        interactionManager.clickedElements = interactionManager.clickedElements.filter(clicked => clicked !== element);
+    }
+    
+    /**
+     * Forget registered elements that are a removed node or inside it, and their changes
+     */
+    unregisterWithin(node) {
+        const websiteStateManager = this.gameEngine.websiteStateManager;
+        
+        Array.from(this.elements).forEach(element => {
+            if (element === node || (node.contains && node.contains(element))) {
+                this.unregister(element);
+                
+                if (websiteStateManager) {
+                    websiteStateManager.forget(element);
+                }
+            }
+        });
+    }
+    
+    /**
+     * Check if an element is registered and in the visible page section
+     */
+    isInteractable(element) {
+        if (!this.elements.has(element)) return false;
+        
+        const section = element.closest('.page-section');
+        
+        return !section || section.classList.contains('active');
+    }
+    
+    /**
+     * Get the registered elements that can be interacted with right now
+     */
+    getInteractableElements() {
+        return Array.from(this.elements).filter(element => this.isInteractable(element));
+    }
+    
+    /**
+     * Get the ID of the visible page section
+     */
+    getActiveSectionId() {
+        const section = this.env.document ? this.env.document.querySelector('.page-section.active') : null;
+        
+        return section ? section.id : null;
+    }
+    
+    /**
+     * Register added elements, forget removed ones and follow page section changes
+     */
+    handleMutations(mutations) {
+        let sectionChanged = false;
+        
+        mutations.forEach(mutation => {
+            if (mutation.type === 'childList') {
+                mutation.removedNodes.forEach(node => {
+                    if (node.nodeType === 1 && !node.isConnected) {
+                        this.unregisterWithin(node);
+                    }
+                });
+                
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === 1 && node.isConnected) {
+                        this.scan(node);
+                    }
+                });
+            } else if (mutation.target.classList.contains('page-section')) {
+                sectionChanged = true;
+            } else if (mutation.attributeName === 'data-game-interaction' && mutation.target.dataset.gameInteraction === 'none') {
+                // The page opted an element out
+                this.unregister(mutation.target);
+            } else if (mutation.attributeName !== 'class' && !this.elements.has(mutation.target)) {
+                // The page marked an element up for play after it was added
+                this.scan(mutation.target);
+            }
+        });
+        
+        if (sectionChanged) {
+            this.handleSectionChange();
+        }
+    }
+    
+    /**
+     * Pick up elements in the newly visible page section and drop a drag from the hidden one
+     */
+    handleSectionChange() {
+        const sectionId = this.getActiveSectionId();
+        
+        if (sectionId === this.activeSectionId) return;
+        
+        this.activeSectionId = sectionId;
+        
+        const section = sectionId ? this.env.document.getElementById(sectionId) : null;
+        
+        if (section) {
+            this.scan(section);
+        }
+        
+        const interactionManager = this.gameEngine.interactionManager;
+        
+        if (interactionManager && interactionManager.draggingElement &&
+            !this.isInteractable(interactionManager.draggingElement)) {
+            interactionManager.draggingElement.classList.remove('dragging');
+            interactionManager.draggingElement = null;
+            interactionManager.elementDragStart = null;
+        }
+        
+        this.env.emit('website-section-changed', { sectionId });
+    }
+    
+    /**
+     * Stop watching the page
+     */
+    cleanup() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        
+        this.elements.clear();
+    }
+}
@@ -0,0 +1,291 @@
+/**
+ * Website State Manager
+ * Records the changes the game makes to website elements (damage, recolors, transforms,
+ * redactions) under stable element IDs, so they can be saved, reapplied on load and repaired.
+ */
+
+// How website elements looked before the game first changed them, by element. Kept outside the
+// manager because the page keeps its changed elements when the game is stopped and started again
+const WEBSITE_ELEMENT_ORIGINALS = new WeakMap();
+
+class WebsiteStateManager {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.env = gameEngine.env;
+        
+        // Changes by element ID, e.g. { "#about > p:nth-of-type(2)": { health: 0, redacted: true } }
+        // (health, redacted, removed, color, transform, hidden and offset {x, y} from dragging)
+        this.mutations = {};
+        
+        // Elements this manager gave a data-game-id (the page's own IDs are left alone)
+        this.identifiedElements = new Set();
+        
+        // DOM elements
+        this.repairButton = this.env.getElementById('website-repair');
+        
+        // Bind methods
+        this.repairAll = this.repairAll.bind(this);
+        
+        if (this.repairButton) {
+            this.repairButton.addEventListener('click', this.repairAll);
+        }
+    }
+    
+    /**
+     * Get an element's stable ID: its data-game-id, or a selector path from the
+     * nearest ancestor with an ID (stays the same as long as the page markup does)
+     */
+    getElementId(element) {
+        if (element.dataset.gameId) return element.dataset.gameId;
+        
+        const parts = [];
+        let node = element;
+        
+        while (node && node.parentElement && node.tagName.toLowerCase() !== 'body') {
+            if (node.id) {
+                parts.unshift(`#${node.id}`);
+                return parts.join(' > ');
+            }
+            
+            const tagName = node.tagName.toLowerCase();
+            const siblings = Array.from(node.parentElement.children).filter(sibling => sibling.tagName === node.tagName);
+            
+            parts.unshift(siblings.length > 1 ? `${tagName}:nth-of-type(${siblings.indexOf(node) + 1})` : tagName);
+            node = node.parentElement;
+        }
+        
+        parts.unshift('body');
+        return parts.join(' > ');
+    }
+    
+    /**
+     * Give an element its stable ID and reapply its saved changes
+     */
+    register(element) {
+        const id = this.identify(element);
+        
+        if (this.mutations[id]) {
+            this.applyMutation(element, this.mutations[id]);
+        }
+        
+        return id;
+    }
+    
+    /**
+     * Give an element its stable ID as data-game-id
+     */
+    identify(element) {
+        const id = this.getElementId(element);
+        
+        if (!element.dataset.gameId) {
+            element.dataset.gameId = id;
+            this.identifiedElements.add(element);
+        }
+        
+        return id;
+    }
+    
+    /**
+     * Forget the changes to an element that left the page, unless the page gave it a data-game-id
+     * (a position-based ID could match a different element later)
+     */
+    forget(element) {
+        if (!this.identifiedElements.has(element)) return;
+        
+        delete this.mutations[element.dataset.gameId];
+        delete element.dataset.gameId;
+        this.identifiedElements.delete(element);
+    }
+    
+    /**
+     * Remember how an element looked before its first change
+     */
+    rememberOriginal(element) {
+        if (WEBSITE_ELEMENT_ORIGINALS.has(element)) return;
+        
+        WEBSITE_ELEMENT_ORIGINALS.set(element, {
+            html: element.innerHTML,
+            color: element.style.color,
+            transform: element.style.transform,
+            translate: element.style.translate
+        });
+    }
+    
+    /**
+     * Find a registered element by its stable ID
+     */
+    findElement(id) {
+        if (!this.env.document) return null;
+        
+        return Array.from(this.env.document.querySelectorAll('[data-game-id]'))
+            .find(element => element.dataset.gameId === id) || null;
+    }
+    
+    /**
+     * Change a website element and record the change, e.g. mutate(element, { color: '#ff0000' })
+     */
+    mutate(element, changes) {
+        const id = this.identify(element);
+        
+        this.mutations[id] = { ...this.mutations[id], ...changes };
+        this.applyMutation(element, changes);
+    }
+    
+    /**
+     * Apply recorded changes to an element
+     */
+    applyMutation(element, mutation) {
+        this.rememberOriginal(element);
+        
+        if (typeof mutation.health === 'number') {
+            const maxHealth = parseInt(element.dataset.gameMaxHealth) || mutation.health;
+            
+            element.dataset.gameHealth = mutation.health.toString();
+            element.classList.remove('game-damaged-1', 'game-damaged-2', 'game-destroyed');
+            
+            if (mutation.health === 0) {
+                element.classList.add('game-destroyed');
+            } else if (mutation.health === 1) {
+                element.classList.add('game-damaged-2');
+            } else if (mutation.health < maxHealth) {
+                element.classList.add('game-damaged-1');
+            }
+        }
+        
+        if (mutation.redacted) {
+            element.textContent = '[redacted]';
+        }
+        
+        if (typeof mutation.removed === 'boolean') {
+            element.classList.toggle('game-removed', mutation.removed);
+        }
+        
+        if (typeof mutation.color === 'string') {
+            element.style.color = mutation.color;
+        }
+        
+        if (typeof mutation.transform === 'string') {
+            element.style.transform = mutation.transform;
+        }
+        
+        if (typeof mutation.hidden === 'boolean') {
+            element.classList.toggle('game-damaged', mutation.hidden);
+        }
+        
+        if (mutation.offset) {
+            element.style.translate = `${mutation.offset.x}px ${mutation.offset.y}px`;
+        }
+    }
+    
+    /**
+     * Apply all recorded changes to the elements on the page
+     */
+    applyAll() {
+        Object.keys(this.mutations).forEach(id => {
+            const element = this.findElement(id);
+            
+            if (element) {
+                this.applyMutation(element, this.mutations[id]);
+            }
+        });
+    }
+    
+    /**
+     * Undo the changes to an element and forget them
+     */
+    repairElement(element) {
+        const id = this.getElementId(element);
+        const mutation = this.mutations[id];
+        const original = WEBSITE_ELEMENT_ORIGINALS.get(element);
+        
+        delete this.mutations[id];
+        
+        if (!mutation || !original) return;
+        
+        if (mutation.redacted) {
+            element.innerHTML = original.html;
+        }
+        
+        element.style.color = original.color;
+        element.style.transform = original.transform;
+        element.style.translate = original.translate;
+        element.classList.remove('game-damaged', 'game-damaged-1', 'game-damaged-2', 'game-destroyed', 'game-removed');
+        
+        if (element.dataset.gameMaxHealth) {
+            element.dataset.gameHealth = element.dataset.gameMaxHealth;
+        }
+    }
+    
+    /**
+     * Undo all recorded changes
+     */
+    repairAll() {
+        this.clear();
+        console.log('Website repaired');
+    }
+    
+    /**
+     * Undo and forget all recorded changes
+     */
+    clear() {
+        Object.keys(this.mutations).forEach(id => {
+            const element = this.findElement(id);
+            
+            if (element) {
+                this.repairElement(element);
+            }
+        });
+        
+        this.mutations = {};
+    }
+    
+    /**
+     * Get the number of changed elements
+     */
+    getMutationCount() {
+        return Object.keys(this.mutations).length;
+    }
+    
+    /**
+     * Serialize recorded changes for saving
+     */
+    serialize() {
+        const elements = {};
+        
+        Object.keys(this.mutations).forEach(id => {
+            elements[id] = { ...this.mutations[id] };
+        });
+        
+        return { elements };
+    }
+    
+    /**
+     * Deserialize recorded changes, repairing the ones the save doesn't have
+     */
+    deserialize(data) {
+        this.clear();
+        
+        if (!data || !data.elements) return;
+        
+        Object.keys(data.elements).forEach(id => {
+            this.mutations[id] = { ...data.elements[id] };
+        });
+        
+        this.applyAll();
+    }
+    
+    /**
+     * Clean up event listeners and the IDs given to elements
+     */
+    cleanup() {
+        if (this.repairButton) {
+            this.repairButton.removeEventListener('click', this.repairAll);
+        }
+        
+        this.identifiedElements.forEach(element => {
+            delete element.dataset.gameId;
+        });
+        
+        this.identifiedElements.clear();
+    }
+}
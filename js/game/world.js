@@ -4,11 +4,14 @@
  */
 
 class World {
-    constructor() {
+    constructor(env, random) {
+        this.env = env || GameEnvironment.browser();
+        this.random = random || new SeededRandom();
+        
         // World dimensions
         this.gridSize = 50; // Size of each grid cell in pixels
-        this.width = Math.ceil(window.innerWidth / this.gridSize);
-        this.height = Math.ceil(window.innerHeight / this.gridSize);
+        this.width = Math.ceil(this.env.viewport.width / this.gridSize);
+        this.height = Math.ceil(this.env.viewport.height / this.gridSize);
         
         // State flags
         this.isInitialized = false;
@@ -23,7 +26,9 @@ class World {
         this.handleResize = this.handleResize.bind(this);
         
         // Event listeners
-        window.addEventListener('resize', this.handleResize);
+        if (this.env.window) {
+            this.env.window.addEventListener('resize', this.handleResize);
+        }
     }
     
     /**
@@ -60,11 +65,14 @@ class World {
      * Add decorative patterns to the grid
      */
     addDecorations() {
+        // Decorations get their own generator so they only depend on the seed
+        const random = this.random.fork('world-decorations');
+        
         // Add subtle decorative patterns to some cells
         for (let y = 0; y < this.height; y++) {
             for (let x = 0; x < this.width; x++) {
                 // Add random light cells (5% chance)
-                if (Math.random() < 0.05) {
+                if (random.chance(0.05)) {
                     this.grid[y][x].color = 'rgba(52, 152, 219, 0.1)';
                 }
             }
@@ -79,8 +87,8 @@ class World {
         const oldHeight = this.height;
         
         // Update dimensions
-        this.width = Math.ceil(window.innerWidth / this.gridSize);
-        this.height = Math.ceil(window.innerHeight / this.gridSize);
+        this.width = Math.ceil(this.env.viewport.width / this.gridSize);
+        this.height = Math.ceil(this.env.viewport.height / this.gridSize);
         
         // If size changed, resize the grid
         if (oldWidth !== this.width || oldHeight !== this.height) {
@@ -120,6 +128,30 @@ class World {
         this.grid = newGrid;
     }
     
+    /**
+     * Replace the grid with the cells declared by a level
+     * (single cells, or rectangles of cells with "width" and "height")
+     */
+    loadLevel(level) {
+        if (level.gridSize) {
+            this.gridSize = level.gridSize;
+            this.width = Math.ceil(this.env.viewport.width / this.gridSize);
+            this.height = Math.ceil(this.env.viewport.height / this.gridSize);
+        }
+        
+        this.initializeGrid();
+        
+        (level.cells || []).forEach(cell => {
+            const { x, y, width = 1, height = 1, type = 'floor', ...properties } = cell;
+            
+            for (let gridY = y; gridY < y + height; gridY++) {
+                for (let gridX = x; gridX < x + width; gridX++) {
+                    this.setCellType(gridX, gridY, type, properties);
+                }
+            }
+        });
+    }
+    
     /**
      * Get grid cell at pixel coordinates
      */
@@ -196,6 +228,29 @@ class World {
         return false;
     }
     
+    /**
+     * Get pixel rectangles of solid cells overlapping an area
+     */
+    getSolidCellRects(x, y, width, height) {
+        const rects = [];
+        
+        // Convert to grid coordinates (the far edge is exclusive)
+        const gridX1 = Math.max(0, Math.floor(x / this.gridSize));
+        const gridY1 = Math.max(0, Math.floor(y / this.gridSize));
+        const gridX2 = Math.min(this.width - 1, Math.ceil((x + width) / this.gridSize) - 1);
+        const gridY2 = Math.min(this.height - 1, Math.ceil((y + height) / this.gridSize) - 1);
+        
+        for (let gridY = gridY1; gridY <= gridY2; gridY++) {
+            for (let gridX = gridX1; gridX <= gridX2; gridX++) {
+                if (this.grid[gridY][gridX].solid) {
+                    rects.push(this.getPixelFromCell(gridX, gridY));
+                }
+            }
+        }
+        
+        return rects;
+    }
+    
     /**
      * Render the world grid
      */
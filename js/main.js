@@ -12,6 +12,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // Add a debug reset button at top left (hidden by default)
     addDebugReset();
     
+    // Add a debug info overlay at bottom left (hidden by default)
+    addDebugOverlay();
+    
     console.log('ButteredUpsad loaded successfully!');
 });
 
@@ -22,6 +25,13 @@ function initGame() {
     // Create the game engine instance
     gameEngine = new GameEngine();
     
+    // Use a shared seed if one is given (e.g. index.html?seed=12345)
+    const seed = new URLSearchParams(window.location.search).get('seed');
+    
+    if (seed) {
+        gameEngine.setSeed(seed);
+    }
+    
     // Set up start game button
     const startGameButton = document.getElementById('start-game');
     
@@ -57,14 +67,9 @@ function toggleGame() {
         
         console.log('Game stopped');
     } else {
-        // Start the game
+        // Start the game (a saved game is resumed, otherwise the default level is loaded)
         gameEngine.start();
         
-        // Spawn some initial objects
-        if (gameEngine.objectManager) {
-            gameEngine.objectManager.spawnRandomObjects(15);
-        }
-        
         if (startGameButton) {
             startGameButton.textContent = 'Stop Game';
         }
@@ -108,6 +113,47 @@ function addDebugReset() {
     });
 }
 
+/**
+ * Add a debug overlay showing engine state
+ */
+function addDebugOverlay() {
+    const overlay = document.createElement('div');
+    overlay.id = 'debug-overlay';
+    overlay.style.position = 'fixed';
+    overlay.style.left = '10px';
+    overlay.style.bottom = '10px';
+    overlay.style.zIndex = '9999';
+    overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    overlay.style.color = '#2ecc71';
+    overlay.style.fontFamily = 'monospace';
+    overlay.style.fontSize = '12px';
+    overlay.style.padding = '5px 10px';
+    overlay.style.borderRadius = '4px';
+    overlay.style.whiteSpace = 'pre';
+    overlay.style.display = 'none'; // Hidden by default
+    
+    document.body.appendChild(overlay);
+    
+    // Refresh a few times per second while visible
+    setInterval(() => {
+        if (!gameEngine || overlay.style.display === 'none') return;
+        
+        overlay.textContent = [
+            `Seed: ${gameEngine.random.seed}`,
+            `Running: ${gameEngine.isRunning}${gameEngine.isPaused ? ' (paused)' : ''}`,
+            `Time scale: ${gameEngine.timeScale}`,
+            `Objects: ${gameEngine.objectManager ? gameEngine.objectManager.objects.length : 0}`
+        ].join('\n');
+    }, 250);
+    
+    // Show overlay with Ctrl+Shift+D (together with the reset button)
+    document.addEventListener('keydown', (event) => {
+        if (event.key.toLowerCase() === 'd' && event.ctrlKey && event.shiftKey) {
+            overlay.style.display = overlay.style.display === 'none' ? 'block' : 'none';
+        }
+    });
+}
+
 /**
  * CSS string for game-related styles that need to be added dynamically
  */